@@ -1,8 +1,10 @@
 import { DotLottie } from '../dotlottie-web.js';
+import { STATE_SEQUENCE, getStateConfig, onManifestChange } from './model.js';
 
 export const canvas = document.getElementById('main_canvas');
 
-const INITIAL_STATE_SRC = './media/state_1.json';
+// Quietest state of the active animation manifest
+const initialStateSrc = () => getStateConfig(STATE_SEQUENCE[0])?.file;
 
 let playerInstance = null;
 
@@ -42,7 +44,7 @@ const ensurePlayer = () => {
                 freezeOnOffscreen: true
             },
             mode: 'forward',
-            src: INITIAL_STATE_SRC
+            src: initialStateSrc()
         });
     } catch (error) {
         console.warn('[animations] Failed to initialize DotLottie', error);
@@ -60,7 +62,7 @@ const reloadInitialState = async () => {
 
     try {
         await player.load({
-            src: INITIAL_STATE_SRC,
+            src: initialStateSrc(),
             autoplay: true,
             loop: true,
             mode: 'forward'
@@ -85,4 +87,6 @@ export const player = ensurePlayer();
 
 if (player) {
     reloadInitialState();
+    // The manifest loads after start-up; its quietest state may use another clip
+    onManifestChange(reloadInitialState);
 }
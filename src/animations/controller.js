@@ -1,11 +1,17 @@
 import { player } from './bootstrap.js';
-import { classify, getStateConfig, resolveTransition, buildRangePath, animationState } from './model.js';
+import { classify, getStateConfig, resolveTransition, buildRangePath, animationState, onManifestChange } from './model.js';
 
 const delay = ms => new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
 
 let previousRange = classify(0);
 let sequenceCounter = 0;
 
+// New states: start over from the quietest one and drop any running sequence
+onManifestChange(() => {
+    previousRange = classify(0);
+    sequenceCounter += 1;
+});
+
 function isPlayerReady() {
     return Boolean(player && typeof player.load === 'function');
 }
@@ -1,36 +1,321 @@
 /**
  * Animation model describing dB ranges, steady states, and transition clips.
+ *
+ * The states come from an animation manifest (`media/animations.json`); the
+ * built-in manifest below describes the stock clips and is active until
+ * `setAnimationManifest` applies another one.
+ *
+ * Manifest format:
+ * {
+ *   "states": [                                   // quietest first
+ *     { "id": "S1", "file": "./media/state_1.json" },
+ *     { "id": "S2", "file": "./media/state_2.json", "minDb": 75, "relativeMinDb": 10 },
+ *     { "id": "S3", "file": "./media/state_3.json", "minDb": 90, "relativeMinDb": 20 }
+ *   ],
+ *   "transitions": [                              // adjacent states, quieter first
+ *     { "from": "S1", "to": "S2", "file": "./media/transition_1_2.json", "durationMs": 700 }
+ *   ],
+ *   "final": { "id": "SF", "file": "./media/state_final.json", "timeoutMs": 10000 }
+ * }
+ *
+ * `minDb` is where a state starts (the first state has none); `relativeMinDb` is
+ * the same in relative mode (dB above the room baseline, default 10 dB per state).
+ * States may set `mode` and `loop` (default forward, looping). The optional final
+ * state follows the loudest state after `timeoutMs` there.
  */
 
-export const STATE_SEQUENCE = ['S1', 'S2', 'S3', 'SF'];
 export const DEFAULT_TRANSITION_DURATION = 2000;
+export const ANIMATION_MANIFEST_URL = './media/animations.json';
 
-export const ranges = {
-    S1: { label: '<75dB', min: -Infinity, max: 75, test: v => v < 75 },
-    S2: { label: '75–90dB', min: 75, max: 90, test: v => v >= 75 && v < 90 },
-    S3: { label: '90db+', min: 90, max: Infinity, test: v => v >= 90 }
+export const DEFAULT_ANIMATION_MANIFEST = {
+    states: [
+        { id: 'S1', file: './media/state_1.json' },
+        { id: 'S2', file: './media/state_2.json', minDb: 75, relativeMinDb: 10 },
+        { id: 'S3', file: './media/state_3.json', minDb: 90, relativeMinDb: 20 }
+    ],
+    transitions: [
+        { from: 'S1', to: 'S2', file: './media/transition_1_2.json', durationMs: 700 },
+        { from: 'S2', to: 'S3', file: './media/transition_2_3.json', durationMs: 467 }
+    ],
+    final: { id: 'SF', file: './media/state_final.json', timeoutMs: 10000 }
 };
 
-export const files = {
-    state: {
-        S1: { file: './media/state_1.json', mode: 'forward', loop: true },
-        S2: { file: './media/state_2.json', mode: 'forward', loop: true },
-        S3: { file: './media/state_3.json', mode: 'forward', loop: true },
-        SF: { file: './media/state_final.json', mode: 'forward', loop: true }
-    },
-    transition: {
-        S1_S2: { file: './media/transition_1_2.json', durationMs: 700 },
-        S2_S3: { file: './media/transition_2_3.json', durationMs: 467 }
-    }
+// SF timeout used when the manifest's final state does not set `timeoutMs`.
+export const SF_TIMEOUT_MS = 10000;
+
+// User-editable state boundaries (dB, keyed by state id), SF timeout, hysteresis
+// and minimum dwell time; see `setThresholds`. Levels must fall `hysteresisDb`
+// below a boundary to move down (up at 75, back down below 72), and a state is
+// held for at least `minDwellMs` before the next change.
+export const THRESHOLD_LIMITS = {
+    minDb: 0,
+    maxDb: 150,
+    minSfTimeoutMs: 1000,
+    maxSfTimeoutMs: 600000,
+    maxHysteresisDb: 10,
+    maxDwellMs: 60000
 };
+const DEFAULT_HYSTERESIS_DB = 3;
+const DEFAULT_DWELL_MS = 0;
+
+// Active model; the exported tables are updated in place by `setAnimationManifest`.
+export const STATE_SEQUENCE = [];
+export const ranges = {};
+export const relativeRanges = {};
+export const files = { state: {}, transition: {} };
+
+let manifest = null;
+let thresholds = null;
+const manifestListeners = new Set();
+
+function replaceEntries(target, entries) {
+    Object.keys(target).forEach(key => delete target[key]);
+    Object.assign(target, entries);
+}
+
+function buildRanges(bounds, prefix = '') {
+    return Object.fromEntries(bounds.map(({ id, min }, index) => {
+        const max = bounds[index + 1]?.min ?? Infinity;
+        let label = `${prefix}${min}–${max}dB`;
+        if (index === 0) {
+            label = max === Infinity ? 'any' : `<${prefix}${max}dB`;
+        } else if (max === Infinity) {
+            label = `${prefix}${min}dB+`;
+        }
+        return [id, { label, min, max, test: v => v >= min && v < max }];
+    }));
+}
+
+/**
+ * Validate an animation manifest and normalize its states and transitions
+ * @param {object|string} source - Manifest object or JSON text
+ * @returns {{states: object[], transitions: object, final: ?object}} Normalized manifest
+ * @throws {Error} When the manifest is malformed
+ */
+export function parseAnimationManifest(source) {
+    const data = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!Array.isArray(data?.states) || !data.states.length) {
+        throw new Error('Animation manifest needs a non-empty "states" array');
+    }
+
+    const ids = new Set();
+    const checkState = (state, what) => {
+        const id = typeof state?.id === 'string' ? state.id : '';
+        if (!id || ids.has(id)) {
+            throw new Error(`${what} needs a unique "id"`);
+        }
+        if (typeof state.file !== 'string' || !state.file) {
+            throw new Error(`State "${id}" needs a "file"`);
+        }
+        ids.add(id);
+        return { id, file: state.file, mode: state.mode ?? 'forward', loop: state.loop ?? true };
+    };
+
+    const states = [];
+    data.states.forEach((state, index) => {
+        const normalized = checkState(state, `State ${index + 1}`);
+        const previous = states[index - 1];
+        if (!previous) {
+            states.push({ ...normalized, minDb: -Infinity, relativeMinDb: -Infinity });
+            return;
+        }
+        const minDb = Number(state.minDb);
+        const relativeMinDb = Number(state.relativeMinDb ?? index * 10);
+        if (!(minDb > previous.minDb && minDb >= THRESHOLD_LIMITS.minDb && minDb <= THRESHOLD_LIMITS.maxDb)) {
+            throw new Error(`State "${normalized.id}" needs a "minDb" up to ${THRESHOLD_LIMITS.maxDb}, above the previous state's`);
+        }
+        if (!Number.isFinite(relativeMinDb) || relativeMinDb <= previous.relativeMinDb) {
+            throw new Error(`State "${normalized.id}" needs a "relativeMinDb" above the previous state's`);
+        }
+        states.push({ ...normalized, minDb, relativeMinDb });
+    });
+
+    let final = null;
+    if (data.final) {
+        if (states.length < 2) {
+            throw new Error('A final state needs at least two other states');
+        }
+        const timeoutMs = Number(data.final.timeoutMs ?? SF_TIMEOUT_MS);
+        const { minSfTimeoutMs, maxSfTimeoutMs } = THRESHOLD_LIMITS;
+        if (!(timeoutMs >= minSfTimeoutMs && timeoutMs <= maxSfTimeoutMs)) {
+            throw new Error(`The final state needs a "timeoutMs" from ${minSfTimeoutMs} to ${maxSfTimeoutMs}`);
+        }
+        final = { ...checkState(data.final, 'The final state'), timeoutMs };
+    }
+
+    const sequence = [...states, final].filter(Boolean).map(({ id }) => id);
+    const transitions = {};
+    (data.transitions ?? []).forEach(({ from, to, file, durationMs }) => {
+        const fromIndex = sequence.indexOf(from);
+        if (fromIndex === -1 || sequence.indexOf(to) !== fromIndex + 1) {
+            throw new Error(`Transition "${from}" to "${to}" must join adjacent states, quieter first`);
+        }
+        if (typeof file !== 'string' || !file) {
+            throw new Error(`Transition "${from}" to "${to}" needs a "file"`);
+        }
+        transitions[`${from}_${to}`] = { file, durationMs: durationMs ?? DEFAULT_TRANSITION_DURATION };
+    });
+
+    return { states, transitions, final };
+}
+
+/**
+ * Call `listener(manifest)` after `setAnimationManifest` replaces the states
+ * (e.g. to reload the idle clip)
+ * @returns {Function} Unsubscribe
+ */
+export function onManifestChange(listener) {
+    manifestListeners.add(listener);
+    return () => manifestListeners.delete(listener);
+}
 
-export function classify(dbValue) {
+/**
+ * Replace the active animation states. Thresholds return to the manifest's
+ * levels, the animation state is reset and manifest listeners are notified.
+ * A manifest identical to the active one changes nothing.
+ * @returns {{states: object[], transitions: object, final: ?object}} Normalized manifest
+ * @throws {Error} When the manifest is malformed (the active one is kept)
+ */
+export function setAnimationManifest(source) {
+    const next = parseAnimationManifest(source);
+    if (manifest && JSON.stringify(next) === JSON.stringify(manifest)) {
+        return manifest;
+    }
+    manifest = next;
+    const { states, transitions, final } = manifest;
+
+    STATE_SEQUENCE.splice(0, STATE_SEQUENCE.length, ...[...states, final].filter(Boolean).map(({ id }) => id));
+    replaceEntries(files.state, Object.fromEntries(
+        [...states, final].filter(Boolean).map(({ id, file, mode, loop }) => [id, { file, mode, loop }])
+    ));
+    replaceEntries(files.transition, transitions);
+    replaceEntries(relativeRanges, buildRanges(states.map(({ id, relativeMinDb }) => ({ id, min: relativeMinDb })), '+'));
+
+    try {
+        setThresholds(getDefaultThresholds());
+    } catch {
+        // States closer together than the default hysteresis
+        setThresholds({ ...getDefaultThresholds(), hysteresisDb: 0 });
+    }
+    animationState.reset();
+    manifestListeners.forEach(listener => listener(manifest));
+    return manifest;
+}
+
+/**
+ * Fetch and apply the animation manifest
+ * @param {string} [url] - Manifest URL
+ * @returns {Promise<object>} Normalized manifest
+ * @throws {Error} When the manifest cannot be loaded or is malformed
+ */
+export async function loadAnimationManifest(url = ANIMATION_MANIFEST_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Animation manifest ${url}: HTTP ${response.status}`);
+    }
+    return setAnimationManifest(await response.json());
+}
+
+export function getFinalState() {
+    return manifest.final ? { ...manifest.final } : null;
+}
+
+/**
+ * Thresholds from the active manifest with the default hysteresis and dwell time
+ * @returns {{levels: object, sfTimeoutMs: number, hysteresisDb: number, minDwellMs: number}} Thresholds
+ */
+export function getDefaultThresholds() {
+    return {
+        levels: Object.fromEntries(manifest.states.slice(1).map(({ id, minDb }) => [id, minDb])),
+        sfTimeoutMs: manifest.final?.timeoutMs ?? SF_TIMEOUT_MS,
+        hysteresisDb: DEFAULT_HYSTERESIS_DB,
+        minDwellMs: DEFAULT_DWELL_MS
+    };
+}
+
+/**
+ * Check user thresholds: numbers within the limits, each state above the one
+ * before, hysteresis narrower than the narrowest state. Missing values take
+ * the manifest defaults; levels for states the manifest lacks are ignored.
+ * @returns {{levels: object, sfTimeoutMs: number, hysteresisDb: number, minDwellMs: number}} Normalized thresholds
+ * @throws {Error} When the thresholds are out of range or not ordered
+ */
+export function validateThresholds(values) {
+    const defaults = getDefaultThresholds();
+    const levelIds = Object.keys(defaults.levels);
+    const levels = Object.fromEntries(levelIds.map(id => [id, Number(values?.levels?.[id] ?? defaults.levels[id])]));
+    const sfTimeoutMs = Number(values?.sfTimeoutMs ?? defaults.sfTimeoutMs);
+    const hysteresisDb = Number(values?.hysteresisDb ?? defaults.hysteresisDb);
+    const minDwellMs = Number(values?.minDwellMs ?? defaults.minDwellMs);
+    const { minDb, maxDb, minSfTimeoutMs, maxSfTimeoutMs, maxHysteresisDb, maxDwellMs } = THRESHOLD_LIMITS;
+
+    if (![...Object.values(levels), sfTimeoutMs, hysteresisDb, minDwellMs].every(Number.isFinite)) {
+        throw new Error('Thresholds must be numbers');
+    }
+    if (Object.values(levels).some(level => level < minDb || level > maxDb)) {
+        throw new Error(`Thresholds must be between ${minDb} and ${maxDb} dB`);
+    }
+    levelIds.slice(1).forEach((id, index) => {
+        if (levels[id] <= levels[levelIds[index]]) {
+            throw new Error(`The ${id} threshold must be above the ${levelIds[index]} threshold`);
+        }
+    });
+    if (sfTimeoutMs < minSfTimeoutMs || sfTimeoutMs > maxSfTimeoutMs) {
+        throw new Error(`SF timeout must be between ${minSfTimeoutMs / 1000} and ${maxSfTimeoutMs / 1000} s`);
+    }
+    if (hysteresisDb < 0 || hysteresisDb > maxHysteresisDb) {
+        throw new Error(`Hysteresis must be between 0 and ${maxHysteresisDb} dB`);
+    }
+    const widths = levelIds.slice(1).map((id, index) => levels[id] - levels[levelIds[index]]);
+    if (hysteresisDb > 0 && hysteresisDb >= Math.min(...widths)) {
+        throw new Error('Hysteresis must be smaller than the narrowest state range');
+    }
+    if (minDwellMs < 0 || minDwellMs > maxDwellMs) {
+        throw new Error(`Minimum dwell time must be between 0 and ${maxDwellMs / 1000} s`);
+    }
+    return { levels, sfTimeoutMs, hysteresisDb, minDwellMs };
+}
+
+/**
+ * Replace the active thresholds. Takes effect on the next `classify` /
+ * `animationState.update` call.
+ * @throws {Error} When the thresholds are invalid (the active ones are kept)
+ */
+export function setThresholds(values) {
+    thresholds = validateThresholds(values);
+    replaceEntries(ranges, buildRanges(manifest.states.map(({ id }) => ({
+        id,
+        min: thresholds.levels[id] ?? -Infinity
+    }))));
+    return getThresholds();
+}
+
+export function getThresholds() {
+    return { ...thresholds, levels: { ...thresholds.levels } };
+}
+
+let relativeBaseline = null;
+
+export function setRelativeBaseline(baselineDb) {
+    relativeBaseline = Number.isFinite(baselineDb) ? baselineDb : null;
+}
+
+export function getRelativeBaseline() {
+    return relativeBaseline;
+}
+
+function classifyLevel(dbValue) {
     let value = Number(dbValue);
     if (!Number.isFinite(value)) {
         value = 0;
     }
+    let table = ranges;
+    if (relativeBaseline !== null) {
+        value -= relativeBaseline;
+        table = relativeRanges;
+    }
     for (const key of STATE_SEQUENCE) {
-        const range = ranges[key];
+        const range = table[key];
         if (range?.test?.(value)) {
             return key;
         }
@@ -38,6 +323,20 @@ export function classify(dbValue) {
     return STATE_SEQUENCE[STATE_SEQUENCE.length - 1];
 }
 
+/**
+ * Range for a dB value. Given the current range, moving down applies the
+ * hysteresis: the level must fall `hysteresisDb` below the lower boundary.
+ */
+export function classify(dbValue, currentRange = null) {
+    const range = classifyLevel(dbValue);
+    const currentIndex = STATE_SEQUENCE.indexOf(currentRange);
+    if (currentIndex === -1 || STATE_SEQUENCE.indexOf(range) >= currentIndex || thresholds.hysteresisDb <= 0) {
+        return range;
+    }
+    const held = classifyLevel(Number(dbValue) + thresholds.hysteresisDb);
+    return STATE_SEQUENCE[Math.min(STATE_SEQUENCE.indexOf(held), currentIndex)];
+}
+
 export function getStateConfig(range) {
     return files.state[range] ?? null;
 }
@@ -123,41 +422,51 @@ export function buildRangePath(prevRange, nextRange) {
 }
 
 // Stateful manager to handle SF (final state) timeout and persistence behavior.
-// - If input stays in `S3` continuously for `SF_TIMEOUT_MS`, switch to `SF`.
-// - While in `SF`, remain until input drops to `S2` (i.e. below 90dB).
-// - Exiting `SF` to `S2` returns a reverse-played `S2_S3` transition.
-export const SF_TIMEOUT_MS = 10000;
-
+// "Top" is the loudest manifest state (S3) and "exit" the one below it (S2).
+// - If input stays in the top state continuously for the SF timeout, switch to `SF`.
+// - While in `SF`, remain until input drops to the exit state (i.e. below the top threshold).
+// - Exiting `SF` returns the reverse-played exit-to-top transition (`S2_S3`).
+// - Moving down uses the hysteresis, and no change happens within the minimum
+//   dwell time of the previous one.
+// Manifests without a final state never enter `SF`.
 export const animationState = {
     currentRange: null,
     inSF: false,
-    s3EnteredAt: null,
+    topEnteredAt: null,
+    rangeEnteredAt: null,
 
     reset() {
         this.currentRange = null;
         this.inSF = false;
-        this.s3EnteredAt = null;
+        this.topEnteredAt = null;
+        this.rangeEnteredAt = null;
     },
 
     // Update state with the latest dB value. Returns { range, transition }.
     // `transition` matches the shape returned by `resolveTransition` (or null).
     update(dbValue, now = Date.now()) {
-        const baseRange = classify(dbValue);
+        const { states, final } = manifest;
+        const topRange = states[states.length - 1].id;
+        const exitRange = states[states.length - 2]?.id;
+        const baseRange = classify(dbValue, this.currentRange);
+        const dwelling = this.rangeEnteredAt !== null && now - this.rangeEnteredAt < thresholds.minDwellMs;
 
-        // If currently in SF, only exit when input drops to S2
+        // If currently in SF, only exit when input drops to the exit state
         if (this.inSF) {
-            if (baseRange === 'S2') {
-                // Exit SF -> S2 using reverse of S2_S3 transition (if available)
+            if (baseRange === exitRange && !dwelling) {
+                // Exit SF using reverse of the exit-to-top transition (if available)
                 this.inSF = false;
-                this.s3EnteredAt = null;
-                this.currentRange = 'S2';
+                this.topEnteredAt = null;
+                this.currentRange = exitRange;
+                this.rangeEnteredAt = now;
 
-                const base = files.transition['S2_S3'];
+                const key = `${exitRange}_${topRange}`;
+                const base = files.transition[key];
                 if (base) {
                     return {
-                        range: 'S2',
+                        range: exitRange,
                         transition: {
-                            key: 'S2_S3',
+                            key,
                             direction: 'down',
                             file: base.file,
                             durationMs: base.durationMs ?? DEFAULT_TRANSITION_DURATION,
@@ -167,41 +476,58 @@ export const animationState = {
                 }
 
                 // Fallback to generic resolveTransition behavior
-                return { range: 'S2', transition: resolveTransition('S3', 'S2') };
+                return { range: exitRange, transition: resolveTransition(topRange, exitRange) };
             }
 
             // Stay in SF for any other input
-            this.currentRange = 'SF';
-            return { range: 'SF', transition: null };
+            this.currentRange = final.id;
+            return { range: final.id, transition: null };
+        }
+
+        // Hold the current range until the minimum dwell time has passed
+        if (dwelling && baseRange !== this.currentRange) {
+            if (baseRange !== topRange) {
+                this.topEnteredAt = null;
+            }
+            return { range: this.currentRange, transition: null };
         }
 
         // Not in SF currently
-        if (baseRange === 'S3') {
-            // Mark time when S3 was first entered
-            if (this.s3EnteredAt == null) {
-                this.s3EnteredAt = now;
+        if (baseRange === topRange && final) {
+            // Mark time when the top state was first entered
+            if (this.topEnteredAt == null) {
+                this.topEnteredAt = now;
             }
 
-            // If stayed in S3 long enough, enter SF
-            if (now - this.s3EnteredAt >= SF_TIMEOUT_MS) {
+            // If stayed in the top state long enough, enter SF
+            if (now - this.topEnteredAt >= thresholds.sfTimeoutMs && !dwelling) {
                 this.inSF = true;
-                this.currentRange = 'SF';
-                this.s3EnteredAt = null;
-                return { range: 'SF', transition: null };
+                this.currentRange = final.id;
+                this.rangeEnteredAt = now;
+                this.topEnteredAt = null;
+                return { range: final.id, transition: null };
             }
 
-            // Otherwise, remain in S3 and return any adjacent transition
-            const transition = resolveTransition(this.currentRange, 'S3');
-            this.currentRange = 'S3';
-            return { range: 'S3', transition };
+            // Otherwise, remain in the top state and return any adjacent transition
+            return this.enter(topRange, now);
         }
 
-        // Any non-S3 input clears the S3 timer
-        this.s3EnteredAt = null;
+        // Any other input clears the top-state timer
+        this.topEnteredAt = null;
+
+        // Normal behavior for the other ranges
+        return this.enter(baseRange, now);
+    },
 
-        // Normal behavior for other ranges (S1, S2)
-        const transition = resolveTransition(this.currentRange, baseRange);
-        this.currentRange = baseRange;
-        return { range: baseRange, transition };
+    // Move to `range` (a manifest state), starting its dwell time if it changed.
+    enter(range, now) {
+        const transition = resolveTransition(this.currentRange, range);
+        if (range !== this.currentRange) {
+            this.rangeEnteredAt = now;
+        }
+        this.currentRange = range;
+        return { range, transition };
     }
 };
+
+setAnimationManifest(DEFAULT_ANIMATION_MANIFEST);
@@ -1,4 +1,55 @@
 import { onReading } from './animations/controller.js';
+import { calculateDB, calculatePeak, calculateRMS } from './audio/levels.js';
+import { getErrorMessage } from './errors.js';
+import {
+    getDefaultThresholds,
+    getFinalState,
+    getThresholds,
+    loadAnimationManifest,
+    setRelativeBaseline,
+    setThresholds
+} from './animations/model.js';
+import { DEFAULT_WEIGHTING, WEIGHTINGS, createWeightingFilters } from './audio/weighting.js';
+import { DEFAULT_TIME_WEIGHTING, TIME_WEIGHTINGS, createTimeWeighting } from './audio/timeWeighting.js';
+import { createLevelStatistics } from './audio/statistics.js';
+import { BAND_LAYOUTS, computeBandLevels, createBands } from './audio/bands.js';
+import { DEFAULT_DOSE_STANDARD, DOSE_STANDARDS, createDoseMeter } from './audio/dose.js';
+import { BASELINE_LEARN_MS, createBaselineLearner, loadRoomProfiles, saveRoomProfiles } from './audio/baseline.js';
+import {
+    MAX_EXCLUDED_BANDS,
+    TONE_DETECTION_MS,
+    checkExcludedBand,
+    createBandRejectFilters,
+    detectStationaryTones,
+    loadExcludedBands,
+    overlapsExcludedBand,
+    saveExcludedBands
+} from './audio/bandReject.js';
+import { EMPTY_FEATURES, computeSpectralFeatures, formatHz } from './audio/spectralFeatures.js';
+import { VAD_FRAME_MS, createVoiceActivityDetector, speechBandRatio, zeroCrossingRate } from './audio/vad.js';
+import { createTransientDetector } from './audio/transients.js';
+import { DEFAULT_GENERATOR_SETTINGS, GENERATOR_SIGNALS, createGenerator } from './audio/generator.js';
+import { loadSetting, removeSetting, saveSetting } from './storage.js';
+import {
+    SCENARIO_SPEEDS,
+    createScenarioPlayer,
+    getBuiltinScenarios,
+    importCustomScenario,
+    loadCustomScenarios,
+    parseScenario,
+    saveCustomScenarios
+} from './scenarios.js';
+import {
+    CALIBRATION_DURATION_MS,
+    DEFAULT_DEVICE_ID,
+    REFERENCE_TONE_HZ,
+    clearCalibration,
+    computeCalibrationOffset,
+    energyAverage,
+    formatOffset,
+    getCalibration,
+    saveCalibration
+} from './audio/calibration.js';
 
 /**
  * dBwatch PWA - Stage 5: Polish & Integration
@@ -9,6 +60,28 @@ import { onReading } from './animations/controller.js';
 // Configuration
 // ===========================================
 const FFT_SIZE = 2048;
+
+// Level meter: AudioWorklet posts one level frame per METER_FRAME_MS
+const METER_PROCESSOR_NAME = 'dBwatch-meter';
+const METER_WORKLET_URL = new URL('./audio/meter-worklet.js', import.meta.url);
+const METER_FRAME_MS = 25;
+// Meter inputs: 0 takes the weighted level chain, 1 the raw source signal
+const METER_RAW_INPUT = 1;
+const METER_INPUT_COUNT = 2;
+
+// Peak hold and clipping
+const PEAK_HOLD_MS = 2000;
+const PEAK_METER_FLOOR_DB = -60; // dBFS at the bottom of the visualizer
+const CLIP_WARNING_MS = 3000;
+
+// Level reference: 0 dBFS is a time-domain RMS of 1.0 (digital full scale).
+// Browsers do not expose microphone sensitivity, so the dB SPL shown is an
+// estimate: 0 dBFS is assumed to be DBFS_TO_SPL_OFFSET dB SPL, which is in the
+// range of typical built-in laptop/phone microphones with processing disabled.
+const DBFS_TO_SPL_OFFSET = 100;
+
+// Output gain of the 1 kHz calibration reference tone
+const REFERENCE_TONE_GAIN = 0.25;
 const AUDIO_CONSTRAINTS = {
     audio: {
         echoCancellation: false,
@@ -16,15 +89,53 @@ const AUDIO_CONSTRAINTS = {
         autoGainControl: false
     }
 };
+const DEVICE_STORAGE_KEY = 'inputDeviceId';
+
+// Calibration keys for the audio-file and generator inputs (calibrations are stored per device)
+const FILE_CALIBRATION_ID = 'audio-file';
+const GENERATOR_CALIBRATION_ID = 'generator';
+const GENERATOR_STORAGE_KEY = 'generator';
+const DOSE_STORAGE_KEY = 'doseRule';
+const THRESHOLDS_STORAGE_KEY = 'animationThresholds';
+const SPEECH_ONLY_STORAGE_KEY = 'speechOnly';
+const DISPLAY_MODE_STORAGE_KEY = 'displayMode';
+
+// Share of a reading's time that must be speech to tag the reading as speech
+const SPEECH_READING_SHARE = 0.3;
+
+// Reconnect backoff after the microphone is lost (doubles per attempt)
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
 
 // Debounce/Throttle timing
 const DEBOUNCE_DELAY = 300; // For button clicks
 const MIN_CLICK_INTERVAL = 500; // Minimum time between Start/Stop clicks
 
+// Measurement loop (timer-driven, keeps running while the page is hidden;
+// browsers may throttle it to about once per second in the background)
+const MEASUREMENT_INTERVAL = 25;
+
 // Update intervals (in milliseconds)
 const VISUALIZER_UPDATE_INTERVAL = 500;  // 0.5 seconds
 const DB_READING_UPDATE_INTERVAL = 2000; // 2 seconds
 
+// Band analyzer bar range (estimated dB SPL per band)
+const BAND_FLOOR_DB = 20;
+const BAND_CEILING_DB = 110;
+
+// Spectrum snapshots collected while auto-detecting stationary tones
+const TONE_DETECTION_FRAME_MS = 100;
+
+// Transient events: log length and time span of the visualizer markers
+const MAX_LOGGED_EVENTS = 50;
+const EVENT_MARKER_WINDOW_MS = 60000;
+
+// Longest frame gap credited to the level statistics (e.g. after the loop was paused)
+const MAX_LEVEL_FRAME_MS = 1000;
+
+// Window event carrying each published reading (level plus spectral features)
+const READING_EVENT = 'dbwatch:reading';
+
 // Static background (animations will handle visual feedback instead of dynamic backgrounds)
 const STATIC_BACKGROUND = '../media/background_image_0.png';
 
@@ -36,33 +147,196 @@ const controlsDialog = document.getElementById('controls_dialog');
 const closeDialogBtn = document.getElementById('close_dialog');
 const showVisualizerToggle = document.getElementById('show_visualizer');
 const showDbReadingToggle = document.getElementById('show_db_reading');
+const visualizerLayoutSelect = document.getElementById('visualizer_layout');
 const simModeToggle = document.getElementById('sim_mode');
 const simSlider = document.getElementById('sim_slider');
 const simSliderContainer = document.getElementById('sim_slider_container');
 const visualizer = document.getElementById('visualizer');
 const dbReading = document.getElementById('dBreading');
 const dbValueElement = dbReading.querySelector('.db-value');
+const dbWeightingElement = dbReading.querySelector('.db-weighting');
+const dbFeaturesElement = dbReading.querySelector('.db-features');
+const showFeaturesToggle = document.getElementById('show_features');
+const weightingSelect = document.getElementById('weighting_select');
+const timeWeightingSelect = document.getElementById('time_weighting_select');
+const deviceSelect = document.getElementById('device_select');
+const inputSourceSelect = document.getElementById('input_source');
+const audioFileInput = document.getElementById('audio_file');
+const filePlayBtn = document.getElementById('file_play');
+const fileSeekSlider = document.getElementById('file_seek');
+const filePositionElement = document.getElementById('file_position');
+const generatorSignalSelect = document.getElementById('generator_signal');
+const generatorLevelInput = document.getElementById('generator_level');
+const generatorFrequencyInput = document.getElementById('generator_frequency');
 const statusMessage = document.getElementById('status_message');
 const startBtn = document.getElementById('start_btn');
 const stopBtn = document.getElementById('stop_btn');
+const calibrationLabel = document.getElementById('calibration_label');
+const calibrationToneToggle = document.getElementById('calibration_tone');
+const calibrationMeasureBtn = document.getElementById('calibration_measure');
+const calibrationMeasuredElement = document.getElementById('calibration_measured');
+const calibrationReferenceInput = document.getElementById('calibration_reference');
+const calibrationApplyBtn = document.getElementById('calibration_apply');
+const calibrationResetBtn = document.getElementById('calibration_reset');
+const statsTableBody = document.getElementById('stats_body');
+const statsDurationElement = document.getElementById('stats_duration');
+const statsResetBtn = document.getElementById('stats_reset');
+const peakInfoElement = document.getElementById('peak_info');
+const doseStandardSelect = document.getElementById('dose_standard');
+const doseCriterionInput = document.getElementById('dose_criterion');
+const doseExchangeInput = document.getElementById('dose_exchange');
+const doseTableBody = document.getElementById('dose_body');
+const thresholdLevelsElement = document.getElementById('threshold_levels');
+const thresholdSfInput = document.getElementById('threshold_sf');
+const thresholdHysteresisInput = document.getElementById('threshold_hysteresis');
+const thresholdDwellInput = document.getElementById('threshold_dwell');
+const thresholdResetBtn = document.getElementById('threshold_reset');
+const roomSelect = document.getElementById('room_select');
+const roomNameInput = document.getElementById('room_name');
+const roomAddBtn = document.getElementById('room_add');
+const baselineValueElement = document.getElementById('baseline_value');
+const baselineLearnBtn = document.getElementById('baseline_learn');
+const relativeModeToggle = document.getElementById('relative_mode');
+const excludedBandList = document.getElementById('excluded_bands');
+const excludeCenterInput = document.getElementById('exclude_center');
+const excludeWidthInput = document.getElementById('exclude_width');
+const excludeAddBtn = document.getElementById('exclude_add');
+const toneDetectBtn = document.getElementById('tone_detect');
+const toneSuggestionList = document.getElementById('tone_suggestions');
+const speechOnlyToggle = document.getElementById('speech_only');
+const vadStatusElement = document.getElementById('vad_status');
+const eventLogList = document.getElementById('event_log');
+const eventCountElement = document.getElementById('event_count');
+const eventClearBtn = document.getElementById('event_clear');
+const displayModeToggle = document.getElementById('display_mode');
+const simScenarioSelect = document.getElementById('sim_scenario');
+const simSpeedSelect = document.getElementById('sim_speed');
+const simLoopToggle = document.getElementById('sim_loop');
+const simRestartBtn = document.getElementById('sim_restart');
+const simScenarioFileInput = document.getElementById('sim_scenario_file');
+const simScenarioProgress = document.getElementById('sim_scenario_progress');
 
 // ===========================================
 // Audio Engine State
 // ===========================================
 let audioContext = null;
-let analyser = null;
+let analyser = null;      // Unweighted spectrum feed (visualizer)
+let levelAnalyser = null; // Weighted time-domain feed (level, fallback path)
+let meterNode = null;     // AudioWorklet level meter (preferred path)
+let levelInput = null;
+let bandRejectNodes = [];
+let weightingNodes = [];
+let currentWeighting = DEFAULT_WEIGHTING;
+const timeWeighting = createTimeWeighting(DEFAULT_TIME_WEIGHTING);
+const levelStatistics = createLevelStatistics();
+let doseSettings = loadDoseSettings();
+const doseMeter = createDoseMeter(getDoseRule(doseSettings));
 let microphone = null;
 let mediaStream = null;
+let selectedDeviceId = loadSetting(DEVICE_STORAGE_KEY, '') || '';
+let usingFallbackDevice = false;
+let inputSourceType = 'microphone'; // 'microphone' | 'file' | 'generator'
+let inputState = 'ok'; // 'ok' | 'muted' | 'lost' | 'paused' (file playback)
+let reconnectTimer = null;
+let reconnectAttempt = 0;
+let isReconnecting = false;
 let dataArray = null;
+let timeDomainData = null;
+let rawTimeDomainData = null;
+let spectrumData = null;
+let frequencyDbData = null;
 let isListening = false;
-let animationId = null;
+let animationModelReady = false; // Start waits for the animation manifest
+let animationId = null;      // Render loop (requestAnimationFrame)
+let measurementTimer = null; // Measurement loop (setInterval)
 
 // ===========================================
 // UI Update State
 // ===========================================
 let lastVisualizerUpdate = 0;
+let bandLayout = null; // Bands of the octave analyzer view, null for the spectrum bars
 let lastDbReadingUpdate = 0;
+let lastLevelUpdate = 0;
 let currentDb = 0;
+let spectralFeatures = { ...EMPTY_FEATURES };
+
+// ===========================================
+// Peak / Clipping State
+// ===========================================
+let peakMarker = null;
+let heldPeak = 0; // Linear sample peak of the raw input
+let heldPeakAt = 0;
+let clipCount = 0;
+let wasClipping = false;
+let lastClipAt = 0;
+let clipWarningActive = false;
+
+// ===========================================
+// Calibration State
+// ===========================================
+let activeDeviceId = DEFAULT_DEVICE_ID;
+let calibrationOffset = 0;
+let calibrationLevels = null; // Uncalibrated levels collected while measuring
+let calibrationTimer = null;
+let measuredCalibrationDb = NaN;
+let referenceTone = null;
+
+// ===========================================
+// Room Baseline State
+// ===========================================
+let roomProfiles = loadRoomProfiles();
+let baselineLearner = null;
+
+// ===========================================
+// Band Exclusion State
+// ===========================================
+let excludedBands = loadExcludedBands();
+let toneFrames = null; // Spectra collected while auto-detecting tones
+let toneDetectionTimer = null;
+let lastToneFrameAt = 0;
+
+// ===========================================
+// Voice Activity State
+// ===========================================
+const voiceActivity = createVoiceActivityDetector();
+let speechOnly = loadSetting(SPEECH_ONLY_STORAGE_KEY, false) === true;
+let vadFrame = { energy: 0, crossings: 0, durationMs: 0 }; // Level frames since the last VAD decision
+let speechPeriod = { speechEnergy: 0, speechMs: 0, durationMs: 0 }; // VAD decisions since the last reading
+let lastVadUpdate = 0;
+
+// ===========================================
+// Transient Event State
+// ===========================================
+const transientDetector = createTransientDetector();
+let transientEvents = []; // Newest first, at most MAX_LOGGED_EVENTS
+
+// ===========================================
+// Display Mode State
+// ===========================================
+let displayMode = loadSetting(DISPLAY_MODE_STORAGE_KEY, false) === true;
+let wakeLock = null;
+let wakeLockPending = false;
+
+// ===========================================
+// Audio File Input State
+// ===========================================
+let audioFile = null;       // File chosen for the file input
+let audioFileUrl = null;    // Object URL of audioFile
+let fileElement = null;     // <audio> element playing the file
+let fileSource = null;      // MediaElementAudioSourceNode feeding the analysis graph
+let isSeeking = false;
+
+// ===========================================
+// Signal Generator State
+// ===========================================
+let generatorSettings = { ...DEFAULT_GENERATOR_SETTINGS, ...loadSetting(GENERATOR_STORAGE_KEY, {}) };
+let generator = null;
+
+// ===========================================
+// Sim Scenario State
+// ===========================================
+let customScenarios = loadCustomScenarios(); // Scenario sources loaded from JSON files
+let scenarioPlayer = null; // Null while the manual slider drives sim mode
 
 // ===========================================
 // Notification State
@@ -82,51 +356,11 @@ let pendingDbUpdate = null;
 // ===========================================
 
 /**
- * Calculate Root Mean Square (RMS) from audio data
- * @param {Float32Array|number[]} data - Normalized audio data (0-1)
- * @returns {number} RMS value
- */
-function calculateRMS(data) {
-    let sum = 0;
-    for (let i = 0; i < data.length; i++) {
-        sum += data[i] * data[i];
-    }
-    return Math.sqrt(sum / data.length);
-}
-
-/**
- * Calculate decibel level from RMS value
- * @param {number} rms - RMS value
- * @param {number} reference - Reference value (default 0.00001)
- * @returns {number} Decibel value
- */
-function calculateDB(rms, reference = 0.00001) {
-    if (rms > 0) {
-        return 20 * Math.log10(rms / reference);
-    }
-    return -Infinity;
-}
-
-// ===========================================
-// Error Handling
-// ===========================================
-
-/**
- * Get user-friendly error message based on error type
- * @param {Error} error - The error object
- * @returns {string} User-friendly error message
+ * Total offset from dBFS to dB SPL: estimated mapping plus device calibration
+ * @returns {number} Offset in dB
  */
-function getErrorMessage(error) {
-    const errorMessages = {
-        'NotAllowedError': 'Microphone permission denied. Please allow access.',
-        'NotFoundError': 'No microphone found on this device.',
-        'NotReadableError': 'Microphone is in use by another app.',
-        'SecurityError': 'Security error. Try serving over HTTPS or localhost.',
-        'AbortError': 'Microphone access was aborted.',
-        'OverconstrainedError': 'Microphone constraints cannot be satisfied.'
-    };
-
-    return errorMessages[error.name] || `Error: ${error.message}`;
+function getLevelOffset() {
+    return DBFS_TO_SPL_OFFSET + calibrationOffset;
 }
 
 // ===========================================
@@ -198,6 +432,7 @@ function setStatus(message, isError = false) {
     if (statusMessage) {
         statusMessage.textContent = message;
         statusMessage.classList.toggle('error', isError);
+        statusMessage.classList.remove('warning');
     }
 
     // Show notification for errors
@@ -206,6 +441,18 @@ function setStatus(message, isError = false) {
     }
 }
 
+/**
+ * Show a warning in the status area (no notification)
+ * @param {string} message - Warning message to display
+ */
+function setWarning(message) {
+    if (statusMessage) {
+        statusMessage.textContent = message;
+        statusMessage.classList.remove('error');
+        statusMessage.classList.add('warning');
+    }
+}
+
 // ===========================================
 // Audio Engine Functions
 // ===========================================
@@ -223,18 +470,37 @@ async function startListening() {
     lastStartStopClick = now;
     isProcessingClick = true;
 
+    // Fullscreen needs the click's user activation, which expires during the awaits below
+    if (displayMode) {
+        enterFullscreen();
+    }
+
     try {
-        setStatus('Requesting microphone access...');
-        
-        // Stop any existing stream first
-        if (mediaStream) {
+        // Stop any existing input first
+        if (mediaStream || fileSource || generator) {
             stopAudioResources();
         }
 
-        // Request microphone access
-        console.log('Requesting microphone stream...');
-        mediaStream = await navigator.mediaDevices.getUserMedia(AUDIO_CONSTRAINTS);
-        console.log('Microphone stream obtained');
+        if (inputSourceType === 'file') {
+            if (!audioFile) {
+                throw new Error('Choose an audio file first.');
+            }
+            setStatus('Loading audio file...');
+            applyInputCalibration();
+        } else if (inputSourceType === 'generator') {
+            setStatus('Starting signal generator...');
+            applyInputCalibration();
+        } else {
+            setStatus('Requesting microphone access...');
+
+            // Request microphone access
+            console.log('Requesting microphone stream...');
+            mediaStream = await openMicrophoneStream();
+            console.log('Microphone stream obtained');
+            applyDeviceCalibration(mediaStream);
+            watchMicrophoneTracks(mediaStream);
+            populateDeviceList();
+        }
 
         // Create AudioContext
         console.log('Creating AudioContext...');
@@ -252,38 +518,51 @@ async function startListening() {
             await audioContext.resume();
         }
 
-        // Create media stream source
-        console.log('Creating MediaStreamSource...');
-        if (typeof audioContext.createMediaStreamSource === 'function') {
-            microphone = audioContext.createMediaStreamSource(mediaStream);
+        // Create the input source node
+        let source;
+        if (inputSourceType === 'file') {
+            source = createFileSource();
+        } else if (inputSourceType === 'generator') {
+            source = createGeneratorSource();
         } else {
-            throw new Error('createMediaStreamSource not available');
+            console.log('Creating MediaStreamSource...');
+            if (typeof audioContext.createMediaStreamSource !== 'function') {
+                throw new Error('createMediaStreamSource not available');
+            }
+            microphone = audioContext.createMediaStreamSource(mediaStream);
+            source = microphone;
         }
 
-        // Create analyser node
+        // Create analyser nodes and weighting filters
         console.log('Creating AnalyserNode...');
-        analyser = audioContext.createAnalyser();
-        analyser.fftSize = FFT_SIZE;
-        analyser.smoothingTimeConstant = 0.8;
-
-        // Connect nodes: microphone -> analyser
-        microphone.connect(analyser);
-
-        // Initialize data array for frequency data
-        dataArray = new Uint8Array(analyser.frequencyBinCount);
+        await createAnalysisGraph(source);
 
         // Update state
         isListening = true;
+        inputState = 'ok';
         updateButtonStates();
-        setStatus('Listening...');
+        setStatus(getListeningStatus());
+        if (displayMode) {
+            acquireWakeLock();
+        }
         console.log('Audio capture started successfully');
 
-        // Reset update timestamps
+        // Reset update timestamps and level averaging
         lastVisualizerUpdate = 0;
         lastDbReadingUpdate = 0;
-
-        // Start the audio processing loop
-        processAudio();
+        lastLevelUpdate = 0;
+        currentDb = -Infinity;
+        timeWeighting.reset();
+        levelStatistics.reset();
+        doseMeter.reset();
+        resetPeak();
+        resetVoiceActivity();
+        transientDetector.reset();
+        clearTransientEvents();
+        updateStatsPanel();
+
+        // Start the measurement and render loops
+        startProcessingLoops();
 
     } catch (error) {
         console.error('Audio capture error:', error.name, '-', error.message);
@@ -312,12 +591,13 @@ function stopListening() {
     console.log('Stopping audio capture...');
     stopAudioResources();
     isListening = false;
+    releaseWakeLock();
     updateButtonStates();
     
     // Reset display
     dbValueElement.textContent = '--';
+    dbReading.classList.remove('no-signal');
     resetVisualizer();
-    resetTheme();
     
     // Reset update timestamps
     lastVisualizerUpdate = 0;
@@ -342,11 +622,11 @@ function stopListening() {
  * Clean up all audio resources
  */
 function stopAudioResources() {
-    // Cancel animation frame
-    if (animationId) {
-        cancelAnimationFrame(animationId);
-        animationId = null;
-    }
+    cancelCalibrationMeasurement();
+    cancelToneDetection();
+    cancelReconnect();
+
+    stopProcessingLoops();
 
     // Stop all media tracks
     if (mediaStream) {
@@ -362,6 +642,8 @@ function stopAudioResources() {
         microphone.disconnect();
         microphone = null;
     }
+    releaseFileSource();
+    releaseGeneratorSource();
 
     // Close AudioContext
     if (audioContext) {
@@ -369,12 +651,171 @@ function stopAudioResources() {
         audioContext = null;
     }
 
+    releaseAnalysisGraph();
+}
+
+/**
+ * Build the analysis graph behind an audio source:
+ * source -> analyser (spectrum)
+ * source -> level input -> band-reject filters -> weighting filters -> level meter (worklet, or analyser fallback)
+ * @param {AudioNode} source - Audio source node
+ */
+async function createAnalysisGraph(source) {
+    analyser = audioContext.createAnalyser();
+    analyser.fftSize = FFT_SIZE;
+    analyser.smoothingTimeConstant = 0.8; // Smooths the spectrum only, not the level
+
+    levelInput = audioContext.createGain();
+    meterNode = await createMeterNode();
+    if (!meterNode) {
+        levelAnalyser = audioContext.createAnalyser();
+        levelAnalyser.fftSize = FFT_SIZE;
+        timeDomainData = new Float32Array(levelAnalyser.fftSize);
+        rawTimeDomainData = new Float32Array(analyser.fftSize);
+    }
+
+    source.connect(analyser);
+    source.connect(levelInput);
+    if (meterNode) {
+        // Raw input feeds the meter's peak/clip input
+        source.connect(meterNode, 0, METER_RAW_INPUT);
+    }
+    connectLevelChain();
+
+    // Initialize buffers for the visualizer spectrum
+    dataArray = new Uint8Array(analyser.frequencyBinCount);
+    spectrumData = new Float32Array(analyser.frequencyBinCount);
+    frequencyDbData = new Float32Array(analyser.frequencyBinCount);
+
+    // Spectrum bar frequencies depend on the context's sample rate
+    updateExcludedMarkers();
+}
+
+/**
+ * Create the AudioWorklet level meter
+ * @returns {Promise<AudioWorkletNode|null>} Meter node, or null when worklets are unavailable
+ */
+async function createMeterNode() {
+    if (!audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+        console.log('AudioWorklet not supported, using AnalyserNode metering');
+        return null;
+    }
+
+    try {
+        await audioContext.audioWorklet.addModule(METER_WORKLET_URL);
+        const node = new AudioWorkletNode(audioContext, METER_PROCESSOR_NAME, {
+            numberOfInputs: METER_INPUT_COUNT,
+            numberOfOutputs: 0,
+            processorOptions: { frameMs: METER_FRAME_MS }
+        });
+        node.port.onmessage = event => {
+            handleLevelFrame(event.data);
+            // Worklet frames keep arriving when timers are throttled in a hidden page
+            runLevelTasks();
+        };
+        return node;
+    } catch (error) {
+        console.warn('AudioWorklet meter unavailable, using AnalyserNode metering:', error);
+        return null;
+    }
+}
+
+/**
+ * (Re)connect the band-reject and frequency weighting filters between level input and level meter
+ */
+function connectLevelChain() {
+    const meter = meterNode ?? levelAnalyser;
+    if (!audioContext || !levelInput || !meter) {
+        return;
+    }
+
+    levelInput.disconnect();
+    bandRejectNodes.forEach(node => node.disconnect());
+    weightingNodes.forEach(node => node.disconnect());
+
+    bandRejectNodes = createBandRejectFilters(audioContext, excludedBands);
+
+    try {
+        weightingNodes = createWeightingFilters(audioContext, currentWeighting);
+    } catch (error) {
+        console.warn('Frequency weighting unavailable, using Z:', error);
+        weightingNodes = [];
+    }
+
+    const chain = [levelInput, ...bandRejectNodes, ...weightingNodes, meter];
+    for (let i = 0; i < chain.length - 1; i++) {
+        chain[i].connect(chain[i + 1]);
+    }
+}
+
+/**
+ * Drop references to the analysis graph (nodes are released with the AudioContext)
+ */
+function releaseAnalysisGraph() {
+    if (meterNode) {
+        meterNode.port.onmessage = null;
+        meterNode = null;
+    }
     analyser = null;
+    levelAnalyser = null;
+    levelInput = null;
+    bandRejectNodes = [];
+    weightingNodes = [];
     dataArray = null;
+    spectrumData = null;
+    frequencyDbData = null;
+    timeDomainData = null;
+    rawTimeDomainData = null;
+}
+
+/**
+ * Handle one level frame from the meter (worklet message or analyser fallback)
+ * @param {{meanSquare: number, peak: number, clippedSamples: number, durationMs: number}} frame - Level frame
+ */
+function handleLevelFrame({ meanSquare, peak, clippedSamples, zeroCrossingRate: zcr, durationMs }) {
+    if (!isListening || simModeToggle.checked || inputState !== 'ok') {
+        return;
+    }
+
+    updatePeak(peak, clippedSamples);
+
+    if (calibrationLevels) {
+        calibrationLevels.push(calculateDB(Math.sqrt(meanSquare), DBFS_TO_SPL_OFFSET));
+    }
+
+    accumulateVoiceFrame(meanSquare, zcr, durationMs);
+    detectTransient(calculateDB(Math.sqrt(meanSquare), getLevelOffset()), durationMs);
+
+    // Apply Fast/Slow/Impulse time weighting to the mean square
+    const weightedMeanSquare = timeWeighting.process(meanSquare, durationMs);
+    recordLevel(calculateDB(Math.sqrt(weightedMeanSquare), getLevelOffset()), durationMs);
+}
+
+/**
+ * Store the current level and feed the running statistics
+ * @param {number} db - Current (time-weighted) level
+ * @param {number} durationMs - Time this level covers
+ */
+function recordLevel(db, durationMs) {
+    // Store current dB for theming
+    currentDb = db;
+
+    // Feed the running statistics and noise dose with the time this level covers
+    const frameMs = Math.min(durationMs, MAX_LEVEL_FRAME_MS);
+    levelStatistics.add(db, frameMs, performance.now());
+    doseMeter.add(db, frameMs);
+
+    if (baselineLearner) {
+        baselineLearner.add(db, frameMs);
+        if (baselineLearner.isComplete()) {
+            finishBaselineLearning();
+        }
+    }
 }
 
 /**
- * Process audio data and update display
+ * Measurement step: read the level (sim slider or analyser fallback) and run the
+ * periodic level tasks. Timer-driven, independent of rendering.
  */
 function processAudio() {
     if (!isListening) {
@@ -382,53 +823,188 @@ function processAudio() {
     }
 
     const now = performance.now();
-    let db;
-    let normalizedData;
+    const elapsed = lastLevelUpdate ? now - lastLevelUpdate : 0;
+    lastLevelUpdate = now;
 
     // Check if sim mode is active
     if (simModeToggle.checked) {
-        // Use slider value as dB
-        db = parseInt(simSlider.value, 10);
-        // Generate fake visualizer data based on dB level
-        normalizedData = generateSimVisualizerData(db);
-    } else {
-        // Use real microphone data
-        if (!analyser) {
-            animationId = requestAnimationFrame(processAudio);
-            return;
-        }
+        // Use the playing scenario, else the slider value, as dB
+        const simDb = scenarioPlayer ? advanceScenario(elapsed) : parseInt(simSlider.value, 10);
+        detectTransient(simDb, elapsed);
+        recordLevel(simDb, elapsed);
+    } else if (levelAnalyser) {
+        // Fallback metering: weighted time-domain samples read once per step
+        levelAnalyser.getFloatTimeDomainData(timeDomainData);
+        analyser.getFloatTimeDomainData(rawTimeDomainData);
+        const rms = calculateRMS(timeDomainData);
+        handleLevelFrame({
+            meanSquare: rms * rms,
+            ...calculatePeak(rawTimeDomainData),
+            zeroCrossingRate: zeroCrossingRate(rawTimeDomainData, audioContext.sampleRate),
+            durationMs: elapsed
+        });
+    }
 
-        // Get frequency data
-        analyser.getByteFrequencyData(dataArray);
+    runLevelTasks(now);
+}
 
-        // Convert byte data to normalized float values (0-1)
-        normalizedData = new Float32Array(dataArray.length);
-        for (let i = 0; i < dataArray.length; i++) {
-            normalizedData[i] = dataArray[i] / 255;
-        }
+/**
+ * Periodic work on the measured level: voice activity, tone detection, readings
+ * (animation thresholds, statistics, baseline). Runs from the measurement timer and
+ * from each worklet frame, so it continues while the page is hidden.
+ * @param {number} now - Current time (performance.now())
+ */
+function runLevelTasks(now = performance.now()) {
+    if (!isListening) {
+        return;
+    }
 
-        // Calculate RMS and dB
-        const rms = calculateRMS(normalizedData);
-        db = calculateDB(rms);
+    if (!simModeToggle.checked && now - lastVadUpdate >= VAD_FRAME_MS) {
+        updateVoiceActivity();
+        lastVadUpdate = now;
     }
 
-    // Store current dB for theming
-    currentDb = db;
+    if (toneFrames && now - lastToneFrameAt >= TONE_DETECTION_FRAME_MS) {
+        collectToneFrame();
+        lastToneFrameAt = now;
+    }
 
-    // Update dB display at specified interval
+    // Publish a reading at the specified interval
     if (now - lastDbReadingUpdate >= DB_READING_UPDATE_INTERVAL) {
-        updateDbDisplay(db);
+        updateSpectralFeatures();
+        updateDbDisplay(currentDb);
+        updateStatsPanel(now);
+        updateBaselineDisplay();
         lastDbReadingUpdate = now;
     }
+}
+
+/**
+ * Render loop: visualizer, peak marker and event markers. requestAnimationFrame
+ * does not fire while the page is hidden, so only rendering pauses.
+ */
+function renderFrame() {
+    if (!isListening) {
+        animationId = null;
+        return;
+    }
 
-    // Update visualizer at specified interval
+    // Update visualizer at specified interval (spectrum is a separate feed from the level)
+    const now = performance.now();
     if (now - lastVisualizerUpdate >= VISUALIZER_UPDATE_INTERVAL) {
-        updateVisualizer(normalizedData);
+        renderVisualizer(currentDb);
+        updatePeakDisplay(now);
+        updateEventMarkers();
+        updateScenarioProgress();
         lastVisualizerUpdate = now;
     }
 
-    // Continue processing loop
-    animationId = requestAnimationFrame(processAudio);
+    animationId = requestAnimationFrame(renderFrame);
+}
+
+/**
+ * Start the measurement timer and the render loop
+ */
+function startProcessingLoops() {
+    stopProcessingLoops();
+    measurementTimer = setInterval(processAudio, MEASUREMENT_INTERVAL);
+    processAudio();
+    animationId = requestAnimationFrame(renderFrame);
+}
+
+/**
+ * Stop the measurement timer and the render loop
+ */
+function stopProcessingLoops() {
+    clearInterval(measurementTimer);
+    measurementTimer = null;
+    if (animationId) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
+    }
+}
+
+/**
+ * Update the held sample peak and count clip events
+ * @param {number} peak - Linear sample peak of the frame
+ * @param {number} clippedSamples - Samples at full scale in the frame
+ * @param {number} now - Current time (performance.now())
+ */
+function updatePeak(peak, clippedSamples, now = performance.now()) {
+    if (peak >= heldPeak || now - heldPeakAt > PEAK_HOLD_MS) {
+        heldPeak = peak;
+        heldPeakAt = now;
+    }
+
+    const isClipping = clippedSamples > 0;
+    if (isClipping) {
+        lastClipAt = now;
+        if (!wasClipping) {
+            clipCount++;
+            clipWarningActive = true;
+            setWarning(`Input clipping (${clipCount}): reading out of range.`);
+        }
+    }
+    wasClipping = isClipping;
+}
+
+/**
+ * Reset peak hold and clip counter
+ */
+function resetPeak() {
+    heldPeak = 0;
+    heldPeakAt = 0;
+    clipCount = 0;
+    wasClipping = false;
+    lastClipAt = 0;
+    clipWarningActive = false;
+}
+
+/**
+ * Compute dominant frequency, spectral centroid and flatness of the live input
+ */
+function updateSpectralFeatures() {
+    if (simModeToggle.checked || !analyser || inputState !== 'ok') {
+        spectralFeatures = { ...EMPTY_FEATURES };
+        return;
+    }
+
+    analyser.getFloatFrequencyData(frequencyDbData);
+    spectralFeatures = computeSpectralFeatures(frequencyDbData, audioContext.sampleRate);
+}
+
+/**
+ * Read the analyser's frequency spectrum for the visualizer
+ * @returns {Float32Array} Normalized spectrum data (0-1)
+ */
+function readSpectrum() {
+    analyser.getByteFrequencyData(dataArray);
+
+    // Convert byte data to normalized float values (0-1)
+    for (let i = 0; i < dataArray.length; i++) {
+        spectrumData[i] = dataArray[i] / 255;
+    }
+    return spectrumData;
+}
+
+/**
+ * Read the analyser's spectrum as octave / third-octave band levels
+ * @returns {number[]} Band levels in estimated dB SPL
+ */
+function readBandLevels() {
+    analyser.getFloatFrequencyData(frequencyDbData);
+    return computeBandLevels(frequencyDbData, audioContext.sampleRate, bandLayout, getLevelOffset());
+}
+
+/**
+ * Generate simulated band levels based on dB level
+ * @param {number} db - Simulated dB value
+ * @returns {number[]} Simulated band levels
+ */
+function generateSimBandLevels(db) {
+    // Spread the level over the bands so their energy sum is close to db
+    const perBand = db - 10 * Math.log10(bandLayout.length);
+    return bandLayout.map(() => perBand + (Math.random() - 0.5) * 10);
 }
 
 /**
@@ -472,6 +1048,14 @@ function syncAnimationWithDb(db) {
  * @param {number} db - Decibel value
  */
 function updateDbDisplay(db) {
+    // Input is down: show "no signal" instead of a misleading low level
+    const noSignal = inputState !== 'ok' && !simModeToggle.checked;
+    dbReading.classList.toggle('no-signal', noSignal);
+    if (noSignal) {
+        dbValueElement.textContent = inputState === 'paused' ? 'paused' : 'no signal';
+        return;
+    }
+
     if (db === -Infinity || isNaN(db)) {
         dbValueElement.textContent = '--';
     } else {
@@ -480,7 +1064,72 @@ function updateDbDisplay(db) {
         dbValueElement.textContent = Math.round(clampedDb);
     }
 
-    syncAnimationWithDb(db);
+    const reading = createReading(db, takeVoiceActivity());
+    updateFeaturesDisplay(reading);
+    updateVoiceDisplay(reading);
+    syncAnimationWithDb(speechOnly && reading.speech !== null ? reading.speechDb : db);
+    publishReading(reading);
+}
+
+/**
+ * Build a reading from the current level, spectral features and voice activity
+ * @param {number} db - Current dB value
+ * @param {{speech: boolean|null, speechFraction: number, speechDb: number}} voice - Voice activity since the last reading
+ * @returns {object} Reading: timestamp, db, dominantFrequency, centroid, flatness, speech, speechFraction, speechDb
+ */
+function createReading(db, voice) {
+    return { timestamp: Date.now(), db, ...spectralFeatures, ...voice };
+}
+
+/**
+ * Make a reading available to other parts of the app as a window event
+ * @param {object} reading - Reading from createReading()
+ */
+function publishReading(reading) {
+    window.dispatchEvent(new CustomEvent(READING_EVENT, { detail: reading }));
+}
+
+/**
+ * Show the spectral features on the secondary line of the dB reading
+ * @param {{dominantFrequency: number, centroid: number, flatness: number}} reading - Current reading
+ */
+function updateFeaturesDisplay({ dominantFrequency, centroid, flatness }) {
+    const flatnessText = Number.isFinite(flatness) ? flatness.toFixed(2) : '--';
+    dbFeaturesElement.textContent = `Peak ${formatHz(dominantFrequency)} · Centroid ${formatHz(centroid)}`
+        + ` · Flatness ${flatnessText}`;
+}
+
+/**
+ * Render the visualizer in the selected layout from the live or simulated feed
+ * @param {number} db - Current dB value (used in sim mode)
+ */
+function renderVisualizer(db) {
+    const isSimMode = simModeToggle.checked;
+    if (!isSimMode && !analyser) {
+        return;
+    }
+
+    if (bandLayout) {
+        updateBandVisualizer(isSimMode ? generateSimBandLevels(db) : readBandLevels());
+    } else {
+        updateVisualizer(isSimMode ? generateSimVisualizerData(db) : readSpectrum());
+    }
+}
+
+/**
+ * Update band analyzer bars with band levels
+ * @param {number[]} levels - Band levels in dB
+ */
+function updateBandVisualizer(levels) {
+    visualizer.querySelectorAll('.band').forEach((band, index) => {
+        const level = levels[index];
+        const fraction = Number.isFinite(level)
+            ? Math.min(1, Math.max(0, (level - BAND_FLOOR_DB) / (BAND_CEILING_DB - BAND_FLOOR_DB)))
+            : 0;
+        band.querySelector('.bar').style.height = `${Math.max(2, fraction * 100)}%`;
+        band.querySelector('.band-level').textContent = Number.isFinite(level) ? Math.round(level) : '';
+        band.title = `${band.dataset.label} Hz: ${Number.isFinite(level) ? `${level.toFixed(1)} dB` : '--'}`;
+    });
 }
 
 /**
@@ -501,178 +1150,1882 @@ function updateVisualizer(data) {
 }
 
 /**
- * Reset visualizer to initial state
+ * Format a level for the statistics panel
+ * @param {number} value - Level in dB
+ * @returns {string} Formatted level or '--'
  */
-function resetVisualizer() {
-    const bars = visualizer.querySelectorAll('.bar');
-    bars.forEach(bar => {
-        bar.style.height = '2px';
-    });
+function formatLevel(value) {
+    return Number.isFinite(value) ? value.toFixed(1) : '--';
 }
 
-// ===========================================
-// Visualizer Functions
-// ===========================================
-
 /**
- * Initialize 30 empty bars in visualizer
+ * Format a duration as h:mm:ss or m:ss
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
  */
-function initializeVisualizer() {
-    visualizer.innerHTML = '';
-    for (let i = 0; i < 30; i++) {
-        const bar = document.createElement('div');
-        bar.className = 'bar';
-        bar.style.height = '2px';
-        visualizer.appendChild(bar);
-    }
+function formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
 }
 
 /**
- * Update Start/Stop button states
+ * Summary of the current session: level statistics and noise dose
+ * @param {number} now - Current time (performance.now())
+ * @returns {{session: object, window: object, dose: object, doseRule: string}} Session summary
  */
-function updateButtonStates() {
-    startBtn.disabled = isListening;
+function getSessionSummary(now = performance.now()) {
+    return {
+        session: levelStatistics.session(),
+        window: levelStatistics.window(now),
+        dose: doseMeter.summary(),
+        doseRule: DOSE_STANDARDS[doseSettings.standard].label
+    };
+}
+
+/**
+ * Update the statistics and dose panels with the session summary
+ * @param {number} now - Current time (performance.now())
+ */
+function updateStatsPanel(now = performance.now()) {
+    const summary = getSessionSummary(now);
+
+    statsTableBody.querySelectorAll('tr[data-stat]').forEach(row => {
+        row.querySelectorAll('td[data-scope]').forEach(cell => {
+            cell.textContent = formatLevel(summary[cell.dataset.scope][row.dataset.stat]);
+        });
+    });
+    statsDurationElement.textContent = `Session: ${formatDuration(summary.session.durationMs)}`
+        + ` · Dose (${summary.doseRule}): ${summary.dose.dosePercent.toFixed(1)} %`;
+
+    doseTableBody.querySelectorAll('tr[data-dose]').forEach(row => {
+        const value = summary.dose[row.dataset.dose];
+        row.querySelector('td').textContent = row.dataset.dose.endsWith('Percent')
+            ? `${value.toFixed(1)} %`
+            : `${formatLevel(value)} dB`;
+    });
+}
+
+/**
+ * Update the peak-hold marker, peak readout and clip warning
+ * @param {number} now - Current time (performance.now())
+ */
+function updatePeakDisplay(now = performance.now()) {
+    const peakDbfs = calculateDB(heldPeak);
+    const clippedRecently = clipCount > 0 && now - lastClipAt < CLIP_WARNING_MS;
+
+    if (peakMarker) {
+        const fraction = Number.isFinite(peakDbfs)
+            ? Math.min(1, Math.max(0, 1 - peakDbfs / PEAK_METER_FLOOR_DB))
+            : 0;
+        peakMarker.style.bottom = `${fraction * 100}%`;
+        peakMarker.classList.toggle('hidden', fraction === 0 || simModeToggle.checked);
+        peakMarker.classList.toggle('clipping', clippedRecently);
+    }
+
+    if (peakInfoElement) {
+        const peakText = Number.isFinite(peakDbfs) ? `${peakDbfs.toFixed(1)} dBFS` : '--';
+        peakInfoElement.textContent = `Peak: ${peakText} · Clips: ${clipCount}`;
+    }
+
+    // Clear the clipping warning once the input has been clean for a while
+    if (clipWarningActive && !clippedRecently) {
+        clipWarningActive = false;
+        if (isListening && inputState === 'ok') {
+            setStatus(getListeningStatus());
+        }
+    }
+}
+
+/**
+ * Reset visualizer to initial state
+ */
+function resetVisualizer() {
+    const bars = visualizer.querySelectorAll('.bar');
+    bars.forEach(bar => {
+        bar.style.height = '2px';
+    });
+    visualizer.querySelectorAll('.band-level').forEach(label => {
+        label.textContent = '';
+    });
+    if (peakMarker) {
+        peakMarker.classList.add('hidden');
+    }
+    visualizer.querySelectorAll('.event-marker').forEach(marker => marker.remove());
+}
+
+// ===========================================
+// Visualizer Functions
+// ===========================================
+
+/**
+ * Initialize the visualizer: 30 empty spectrum bars, or one labelled bar per band
+ */
+function initializeVisualizer() {
+    visualizer.innerHTML = '';
+    visualizer.classList.toggle('visualizer--bands', Boolean(bandLayout));
+    document.body.classList.toggle('bands-layout', Boolean(bandLayout));
+
+    if (bandLayout) {
+        bandLayout.forEach(({ label }) => {
+            const band = document.createElement('div');
+            band.className = 'band';
+            band.dataset.label = label;
+            band.innerHTML = '<span class="band-level"></span><div class="bar" style="height: 2px"></div>'
+                + `<span class="band-label">${label}</span>`;
+            visualizer.appendChild(band);
+        });
+    } else {
+        for (let i = 0; i < 30; i++) {
+            const bar = document.createElement('div');
+            bar.className = 'bar';
+            bar.style.height = '2px';
+            visualizer.appendChild(bar);
+        }
+    }
+
+    // Peak-hold marker (raw input sample peak, PEAK_METER_FLOOR_DB to 0 dBFS)
+    peakMarker = document.createElement('div');
+    peakMarker.className = 'peak-marker hidden';
+    visualizer.appendChild(peakMarker);
+
+    updateExcludedMarkers();
+}
+
+/**
+ * Mark the spectrum bars or bands that overlap an excluded frequency band
+ */
+function updateExcludedMarkers() {
+    if (bandLayout) {
+        visualizer.querySelectorAll('.band').forEach((band, index) => {
+            const { low, high } = bandLayout[index];
+            band.classList.toggle('excluded', overlapsExcludedBand(low, high, excludedBands));
+        });
+        return;
+    }
+
+    // Each spectrum bar samples the first bin of its slice of the analyser spectrum
+    const binCount = FFT_SIZE / 2;
+    const step = Math.floor(binCount / 30);
+    const binHz = (audioContext?.sampleRate ?? 48000) / FFT_SIZE;
+    visualizer.querySelectorAll('.bar').forEach((bar, index) => {
+        const low = index * step * binHz;
+        bar.classList.toggle('excluded', overlapsExcludedBand(low, low + step * binHz, excludedBands));
+    });
+}
+
+/**
+ * Update Start/Stop button states
+ */
+function updateButtonStates() {
+    startBtn.disabled = isListening || !animationModelReady;
     stopBtn.disabled = !isListening;
 }
 
 // ===========================================
-// Dialog Functions
+// Dialog Functions
+// ===========================================
+
+/**
+ * Toggle Controls Dialog visibility
+ */
+function toggleDialog() {
+    if (controlsDialog.open) {
+        controlsDialog.close();
+    } else {
+        controlsDialog.showModal();
+    }
+    // Update gear visibility based on dialog state
+    updateGearVisibility();
+}
+
+/**
+ * Handle click outside dialog to close
+ */
+function handleDialogClick(event) {
+    const rect = controlsDialog.getBoundingClientRect();
+    const isInDialog = (
+        event.clientX >= rect.left &&
+        event.clientX <= rect.right &&
+        event.clientY >= rect.top &&
+        event.clientY <= rect.bottom
+    );
+    if (!isInDialog) {
+        controlsDialog.close();
+        updateGearVisibility();
+    }
+}
+
+// ===========================================
+// Toggle Functions
+// ===========================================
+
+/**
+ * Toggle visualizer visibility
+ */
+function handleVisualizerToggle() {
+    visualizer.classList.toggle('hidden', !showVisualizerToggle.checked);
+}
+
+/**
+ * Switch the visualizer between spectrum bars and the octave band analyzer
+ */
+function handleVisualizerLayoutChange() {
+    const layout = BAND_LAYOUTS[visualizerLayoutSelect.value];
+    bandLayout = layout ? createBands(layout.fraction) : null;
+    initializeVisualizer();
+    lastVisualizerUpdate = 0;
+}
+
+/**
+ * Toggle dB reading visibility
+ */
+function handleDbReadingToggle() {
+    dbReading.classList.toggle('hidden', !showDbReadingToggle.checked);
+}
+
+/**
+ * Handle the frequency readout toggle (secondary line of the dB reading)
+ */
+function handleFeaturesToggle() {
+    dbFeaturesElement.classList.toggle('hidden', !showFeaturesToggle.checked);
+}
+
+/**
+ * Change the frequency weighting applied to the dB reading
+ */
+function handleWeightingChange() {
+    const weighting = weightingSelect.value;
+    currentWeighting = WEIGHTINGS[weighting] ? weighting : DEFAULT_WEIGHTING;
+    updateWeightingSuffix();
+    connectLevelChain();
+}
+
+/**
+ * Change the time weighting (Fast / Slow / Impulse) of the level
+ */
+function handleTimeWeightingChange() {
+    const mode = timeWeightingSelect.value;
+    timeWeighting.setMode(TIME_WEIGHTINGS[mode] ? mode : DEFAULT_TIME_WEIGHTING);
+}
+
+/**
+ * Show the active frequency weighting next to the dB suffix
+ */
+function updateWeightingSuffix() {
+    if (dbWeightingElement) {
+        dbWeightingElement.textContent = WEIGHTINGS[currentWeighting].suffix;
+    }
+}
+
+/**
+ * Toggle sim mode
+ */
+function handleSimModeToggle() {
+    const isSimMode = simModeToggle.checked;
+    
+    // Show/hide the vertical slider container
+    simSliderContainer.classList.toggle('hidden', !isSimMode);
+    
+    if (isSimMode && isListening) {
+        // When enabling sim mode while listening, stop microphone but keep "listening" state
+        cancelReconnect();
+        stopMicrophoneOnly();
+        setStatus('Sim mode active');
+    } else if (!isSimMode && isListening) {
+        // When disabling sim mode while listening, restart the input
+        restartInput();
+    }
+    
+    // If sim mode is enabled and we're listening, trigger immediate update
+    if (isSimMode && isListening) {
+        const db = scenarioPlayer ? advanceScenario(0) : parseInt(simSlider.value, 10);
+        updateDbDisplay(db);
+        renderVisualizer(db);
+    }
+}
+
+/**
+ * Stop microphone resources only (keep listening state)
+ */
+function stopMicrophoneOnly() {
+    cancelCalibrationMeasurement();
+    cancelToneDetection();
+    if (mediaStream) {
+        mediaStream.getTracks().forEach(track => track.stop());
+        mediaStream = null;
+    }
+    if (microphone) {
+        microphone.disconnect();
+        microphone = null;
+    }
+    releaseFileSource();
+    releaseGeneratorSource();
+    if (audioContext) {
+        audioContext.close().catch(err => console.warn('AudioContext close error:', err));
+        audioContext = null;
+    }
+    releaseAnalysisGraph();
+}
+
+/**
+ * Restart the selected input (microphone, audio file or generator) while listening
+ * @returns {Promise<boolean>} True if the input restarted
+ */
+function restartInput() {
+    return inputSourceType === 'microphone' ? restartMicrophone() : restartLocalInput();
+}
+
+/**
+ * Restart microphone capture
+ * @returns {Promise<boolean>} Whether the microphone was restarted
+ */
+async function restartMicrophone() {
+    try {
+        setStatus('Restarting microphone...');
+        
+        mediaStream = await openMicrophoneStream();
+        applyDeviceCalibration(mediaStream);
+        watchMicrophoneTracks(mediaStream);
+        populateDeviceList();
+        
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        audioContext = new AudioContextClass();
+        
+        if (audioContext.state === 'suspended') {
+            await audioContext.resume();
+        }
+        
+        microphone = audioContext.createMediaStreamSource(mediaStream);
+        await createAnalysisGraph(microphone);
+        lastLevelUpdate = 0;
+        timeWeighting.reset();
+        inputState = 'ok';
+        
+        setStatus(getListeningStatus());
+        return true;
+    } catch (error) {
+        console.error('Restart microphone error:', error);
+        setStatus(getErrorMessage(error));
+        return false;
+    }
+}
+
+/**
+ * Update dB reading display when sim slider changes
+ */
+function handleSimSliderChange() {
+    const db = parseInt(simSlider.value, 10);
+
+    // Dragging the slider takes over from a playing scenario
+    if (scenarioPlayer) {
+        simScenarioSelect.value = '';
+        handleScenarioChange();
+    }
+    
+    // If sim mode is active and listening, update immediately
+    if (simModeToggle.checked && isListening) {
+        updateDbDisplay(db);
+        renderVisualizer(db);
+    }
+}
+
+// ===========================================
+// Input Device Functions
+// ===========================================
+
+/**
+ * Open the selected microphone, falling back to the default one if it is missing
+ * @returns {Promise<MediaStream>} Microphone stream
+ */
+async function openMicrophoneStream() {
+    usingFallbackDevice = false;
+
+    if (selectedDeviceId) {
+        try {
+            return await navigator.mediaDevices.getUserMedia({
+                audio: { ...AUDIO_CONSTRAINTS.audio, deviceId: { exact: selectedDeviceId } }
+            });
+        } catch (error) {
+            if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') {
+                throw error;
+            }
+            console.warn('Selected microphone unavailable, falling back to default:', error);
+            usingFallbackDevice = true;
+        }
+    }
+
+    return navigator.mediaDevices.getUserMedia(AUDIO_CONSTRAINTS);
+}
+
+/**
+ * Status message for an active microphone
+ * @returns {string} Status message
+ */
+function getListeningStatus() {
+    if (inputSourceType === 'file') {
+        return `Analyzing "${audioFile?.name ?? 'audio file'}"`;
+    }
+    if (inputSourceType === 'generator') {
+        return `Generating ${GENERATOR_SIGNALS[generatorSettings.signal].label.toLowerCase()}`
+            + ` at ${generatorSettings.levelDbfs} dBFS`;
+    }
+    return usingFallbackDevice
+        ? 'Listening on the default microphone (selected one not found).'
+        : 'Listening...';
+}
+
+/**
+ * Fill the device dropdown from the available audio inputs
+ * @returns {Promise<MediaDeviceInfo[]>} Available audio inputs
+ */
+async function populateDeviceList() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+        deviceSelect.disabled = true;
+        return [];
+    }
+
+    let inputs = [];
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        inputs = devices.filter(device => device.kind === 'audioinput' && device.deviceId !== 'default');
+    } catch (error) {
+        console.warn('Device enumeration failed:', error);
+    }
+
+    deviceSelect.innerHTML = '';
+    deviceSelect.appendChild(new Option('Default microphone', ''));
+    inputs.forEach((device, index) => {
+        // Labels stay empty until microphone permission has been granted
+        deviceSelect.appendChild(new Option(device.label || `Microphone ${index + 1}`, device.deviceId));
+    });
+
+    // Keep a remembered device visible even while it is unplugged
+    if (selectedDeviceId && !inputs.some(device => device.deviceId === selectedDeviceId)) {
+        deviceSelect.appendChild(new Option('Saved microphone (not connected)', selectedDeviceId));
+    }
+    deviceSelect.value = selectedDeviceId;
+    return inputs;
+}
+
+/**
+ * Switch to the microphone picked in the dropdown and remember it
+ */
+function handleDeviceChange() {
+    selectedDeviceId = deviceSelect.value;
+    saveSetting(DEVICE_STORAGE_KEY, selectedDeviceId);
+
+    if (isListening && !simModeToggle.checked && inputSourceType === 'microphone') {
+        switchMicrophone();
+    }
+}
+
+// ===========================================
+// Input Recovery Functions
+// ===========================================
+
+/**
+ * Watch microphone tracks for unplug (ended) and system mute
+ * @param {MediaStream} stream - Microphone stream
+ */
+function watchMicrophoneTracks(stream) {
+    stream.getAudioTracks().forEach(track => {
+        track.addEventListener('ended', () => handleInputLost(track));
+        track.addEventListener('mute', () => handleInputMuted(track));
+        track.addEventListener('unmute', () => handleInputUnmuted(track));
+    });
+}
+
+/**
+ * Whether a track belongs to the current microphone stream
+ * @param {MediaStreamTrack} track - Track that fired an event
+ * @returns {boolean}
+ */
+function isActiveTrack(track) {
+    return Boolean(mediaStream?.getAudioTracks().includes(track));
+}
+
+/**
+ * Microphone track ended (unplugged or revoked): show no signal and reconnect
+ * @param {MediaStreamTrack} track - Ended track
+ */
+function handleInputLost(track) {
+    if (!isActiveTrack(track) || !isListening || simModeToggle.checked || inputState === 'lost') {
+        return;
+    }
+
+    console.warn('Microphone track ended:', track.label);
+    inputState = 'lost';
+    reconnectAttempt = 0;
+    stopMicrophoneOnly();
+    updateDbDisplay(NaN);
+    setStatus('Microphone disconnected. No signal.', true);
+    scheduleReconnect();
+}
+
+/**
+ * Microphone track muted by the system: show no signal until unmuted
+ * @param {MediaStreamTrack} track - Muted track
+ */
+function handleInputMuted(track) {
+    if (!isActiveTrack(track) || !isListening || simModeToggle.checked || inputState !== 'ok') {
+        return;
+    }
+
+    console.warn('Microphone track muted:', track.label);
+    inputState = 'muted';
+    updateDbDisplay(NaN);
+    setStatus('Microphone muted by the system. No signal.', true);
+}
+
+/**
+ * Microphone track unmuted: resume normal readings
+ * @param {MediaStreamTrack} track - Unmuted track
+ */
+function handleInputUnmuted(track) {
+    if (!isActiveTrack(track) || inputState !== 'muted') {
+        return;
+    }
+
+    inputState = 'ok';
+    timeWeighting.reset();
+    setStatus(getListeningStatus());
+}
+
+/**
+ * Schedule the next reconnect attempt with exponential backoff
+ */
+function scheduleReconnect() {
+    clearTimeout(reconnectTimer);
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** reconnectAttempt);
+    reconnectAttempt++;
+    console.log(`Reconnecting microphone in ${delay} ms (attempt ${reconnectAttempt})`);
+    reconnectTimer = setTimeout(attemptReconnect, delay);
+}
+
+/**
+ * Try to reopen the selected (or default) microphone
+ */
+async function attemptReconnect() {
+    reconnectTimer = null;
+    if (!isListening || simModeToggle.checked || inputState !== 'lost' || isReconnecting) {
+        return;
+    }
+
+    if (await runMicrophoneRestart()) {
+        reconnectAttempt = 0;
+        console.log('Microphone reconnected');
+    }
+}
+
+/**
+ * Reopen the microphone on the selected device (ignored while a restart is in flight;
+ * a device picked meanwhile is switched to once it finishes)
+ */
+async function switchMicrophone() {
+    if (isReconnecting) {
+        return;
+    }
+    clearTimeout(reconnectTimer);
+    reconnectAttempt = 0;
+    stopMicrophoneOnly();
+    await runMicrophoneRestart();
+}
+
+/**
+ * Restart the microphone, one restart at a time. A failed restart leaves no
+ * half-open input behind and falls back to reconnecting with backoff.
+ * @returns {Promise<boolean>} Whether the microphone is running again
+ */
+async function runMicrophoneRestart() {
+    const deviceId = selectedDeviceId;
+    isReconnecting = true;
+    const restarted = await restartMicrophone();
+    isReconnecting = false;
+
+    // Listening may have been stopped while the restart was pending
+    if (!isListening || simModeToggle.checked) {
+        stopMicrophoneOnly();
+        return false;
+    }
+
+    if (!restarted) {
+        stopMicrophoneOnly();
+        inputState = 'lost';
+        updateDbDisplay(NaN);
+        setStatus('Microphone disconnected. Retrying...');
+        scheduleReconnect();
+        return false;
+    }
+
+    if (selectedDeviceId !== deviceId) {
+        await switchMicrophone();
+    }
+    return true;
+}
+
+/**
+ * Cancel pending reconnects and clear the input-down state
+ */
+function cancelReconnect() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    reconnectAttempt = 0;
+    inputState = 'ok';
+}
+
+/**
+ * Device list changed: refresh the picker and recover the input if needed
+ */
+async function handleDeviceListChange() {
+    const inputs = await populateDeviceList();
+    if (!isListening || simModeToggle.checked || isReconnecting || inputSourceType !== 'microphone') {
+        return;
+    }
+
+    const track = mediaStream?.getAudioTracks()[0];
+    if (inputState === 'lost') {
+        // A device was plugged in: retry right away
+        clearTimeout(reconnectTimer);
+        attemptReconnect();
+    } else if (track && track.readyState === 'ended') {
+        handleInputLost(track);
+    } else if (usingFallbackDevice && inputs.some(device => device.deviceId === selectedDeviceId)) {
+        // The selected microphone is back: switch over from the default one
+        switchMicrophone();
+    }
+}
+
+// ===========================================
+// Calibration Functions
+// ===========================================
+
+/**
+ * Load the saved calibration offset for the microphone behind a stream
+ * @param {MediaStream} stream - Active microphone stream
+ */
+function applyDeviceCalibration(stream) {
+    const track = stream?.getAudioTracks?.()[0];
+    activeDeviceId = track?.getSettings?.().deviceId || DEFAULT_DEVICE_ID;
+    updateCalibrationDisplay();
+}
+
+/**
+ * Refresh the active calibration offset and its label
+ */
+function updateCalibrationDisplay() {
+    const calibration = getCalibration(activeDeviceId);
+    calibrationOffset = calibration ? calibration.offset : 0;
+
+    if (calibrationLabel) {
+        calibrationLabel.textContent = calibration
+            ? `( calibration: ${formatOffset(calibration.offset)}, ${calibration.weighting ?? currentWeighting}-weighted )`
+            : '( uncalibrated estimate )';
+    }
+}
+
+/**
+ * Measure the uncalibrated level for CALIBRATION_DURATION_MS
+ */
+function startCalibrationMeasurement() {
+    if (!isListening || simModeToggle.checked || !levelInput) {
+        setStatus('Start listening with sim mode off to calibrate.');
+        return;
+    }
+
+    cancelCalibrationMeasurement();
+    calibrationLevels = [];
+    measuredCalibrationDb = NaN;
+    calibrationMeasuredElement.textContent = '…';
+    calibrationMeasureBtn.disabled = true;
+    calibrationApplyBtn.disabled = true;
+
+    if (calibrationToneToggle.checked) {
+        startReferenceTone();
+    }
+
+    setStatus(`Calibrating: measuring for ${CALIBRATION_DURATION_MS / 1000} s...`);
+    calibrationTimer = setTimeout(finishCalibrationMeasurement, CALIBRATION_DURATION_MS);
+}
+
+/**
+ * Finish the calibration measurement and show the measured level
+ */
+function finishCalibrationMeasurement() {
+    const levels = calibrationLevels ?? [];
+    calibrationTimer = null;
+    calibrationLevels = null;
+    stopReferenceTone();
+    calibrationMeasureBtn.disabled = false;
+
+    measuredCalibrationDb = energyAverage(levels);
+    if (!Number.isFinite(measuredCalibrationDb)) {
+        calibrationMeasuredElement.textContent = '--';
+        setStatus('Calibration failed: no signal measured.', true);
+        return;
+    }
+
+    calibrationMeasuredElement.textContent = `${measuredCalibrationDb.toFixed(1)} dB`;
+    calibrationApplyBtn.disabled = false;
+    setStatus('Enter the reference meter reading and apply.');
+}
+
+/**
+ * Abort a running calibration measurement
+ */
+function cancelCalibrationMeasurement() {
+    if (calibrationTimer) {
+        clearTimeout(calibrationTimer);
+        calibrationTimer = null;
+    }
+    calibrationLevels = null;
+    stopReferenceTone();
+    calibrationMeasureBtn.disabled = false;
+}
+
+/**
+ * Compute and save the calibration offset from the reference reading
+ */
+function applyCalibration() {
+    const referenceDb = parseFloat(calibrationReferenceInput.value);
+    const offset = computeCalibrationOffset(measuredCalibrationDb, referenceDb);
+    if (!Number.isFinite(offset)) {
+        setStatus('Measure first, then enter the reference meter reading.');
+        return;
+    }
+
+    saveCalibration(activeDeviceId, {
+        offset,
+        method: calibrationToneToggle.checked ? 'tone' : 'meter',
+        weighting: currentWeighting
+    });
+    updateCalibrationDisplay();
+    calibrationApplyBtn.disabled = true;
+    setStatus(`Calibration saved: ${formatOffset(offset)}`);
+}
+
+/**
+ * Remove the calibration for the active microphone
+ */
+function resetCalibration() {
+    clearCalibration(activeDeviceId);
+    updateCalibrationDisplay();
+    setStatus('Calibration reset to the uncalibrated estimate.');
+}
+
+/**
+ * Play a 1 kHz reference tone through the speakers
+ */
+function startReferenceTone() {
+    if (!audioContext || referenceTone) {
+        return;
+    }
+
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = REFERENCE_TONE_HZ;
+    gain.gain.value = REFERENCE_TONE_GAIN;
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.start();
+    referenceTone = { oscillator, gain };
+}
+
+/**
+ * Stop the reference tone if playing
+ */
+function stopReferenceTone() {
+    if (!referenceTone) {
+        return;
+    }
+
+    try {
+        referenceTone.oscillator.stop();
+        referenceTone.gain.disconnect();
+    } catch (error) {
+        console.warn('Reference tone stop error:', error);
+    }
+    referenceTone = null;
+}
+
+// ===========================================
+// Noise Dose Functions
+// ===========================================
+
+/**
+ * Load the saved dose rule settings (standard preset plus overrides)
+ * @returns {{standard: string, criterion: number, exchangeRate: number}} Dose settings
+ */
+function loadDoseSettings() {
+    const stored = loadSetting(DOSE_STORAGE_KEY, null);
+    const standard = DOSE_STANDARDS[stored?.standard] ? stored.standard : DEFAULT_DOSE_STANDARD;
+    const preset = DOSE_STANDARDS[standard];
+    return {
+        standard,
+        criterion: Number.isFinite(stored?.criterion) ? stored.criterion : preset.criterion,
+        exchangeRate: stored?.exchangeRate > 0 ? stored.exchangeRate : preset.exchangeRate
+    };
+}
+
+/**
+ * Build the dose rule for the dose meter from settings
+ * @param {{standard: string, criterion: number, exchangeRate: number}} settings - Dose settings
+ * @returns {{criterion: number, exchangeRate: number, threshold: ?number}} Dose rule
+ */
+function getDoseRule(settings) {
+    return {
+        criterion: settings.criterion,
+        exchangeRate: settings.exchangeRate,
+        threshold: DOSE_STANDARDS[settings.standard].threshold
+    };
+}
+
+/**
+ * Show the dose settings in the controls dialog
+ */
+function renderDoseSettings() {
+    doseStandardSelect.value = doseSettings.standard;
+    doseCriterionInput.value = doseSettings.criterion;
+    doseExchangeInput.value = doseSettings.exchangeRate;
+}
+
+/**
+ * Apply and save new dose settings (restarts the dose)
+ * @param {{standard: string, criterion: number, exchangeRate: number}} settings - Dose settings
+ */
+function applyDoseSettings(settings) {
+    doseSettings = settings;
+    saveSetting(DOSE_STORAGE_KEY, doseSettings);
+    doseMeter.setRule(getDoseRule(doseSettings));
+    renderDoseSettings();
+    updateStatsPanel();
+}
+
+/**
+ * Pick a dose standard: load its criterion level and exchange rate
+ */
+function handleDoseStandardChange() {
+    const standard = doseStandardSelect.value;
+    const preset = DOSE_STANDARDS[standard] ?? DOSE_STANDARDS[DEFAULT_DOSE_STANDARD];
+    applyDoseSettings({
+        standard: DOSE_STANDARDS[standard] ? standard : DEFAULT_DOSE_STANDARD,
+        criterion: preset.criterion,
+        exchangeRate: preset.exchangeRate
+    });
+}
+
+/**
+ * Apply an edited criterion level or exchange rate
+ */
+function handleDoseParameterChange() {
+    const criterion = parseFloat(doseCriterionInput.value);
+    const exchangeRate = parseFloat(doseExchangeInput.value);
+    if (!Number.isFinite(criterion) || !(exchangeRate > 0)) {
+        setStatus('Dose: criterion level and exchange rate must be positive numbers.');
+        renderDoseSettings();
+        return;
+    }
+    applyDoseSettings({ ...doseSettings, criterion, exchangeRate });
+}
+
+// ===========================================
+// Animation Threshold Functions
+// ===========================================
+
+/**
+ * Load the animation manifest, then apply the saved thresholds for its states,
+ * render the manifest-dependent controls and enable Start
+ * (the built-in states stay active if the manifest cannot be loaded)
+ */
+async function initAnimationModel() {
+    try {
+        await loadAnimationManifest();
+    } catch (error) {
+        console.warn('Animation manifest: using the built-in states', error);
+    }
+    loadThresholdSettings();
+    renderThresholdLevels();
+    renderThresholdSettings();
+    renderScenarioOptions();
+    animationModelReady = true;
+    updateButtonStates();
+}
+
+/**
+ * Apply the saved animation thresholds (falls back to the defaults if invalid)
+ */
+function loadThresholdSettings() {
+    const stored = loadSetting(THRESHOLDS_STORAGE_KEY, null);
+    if (!stored) {
+        return;
+    }
+    try {
+        setThresholds(stored);
+    } catch (error) {
+        console.warn('Ignoring saved animation thresholds:', error.message);
+    }
+}
+
+/**
+ * Add a level input for each animation state above the first
+ */
+function renderThresholdLevels() {
+    thresholdLevelsElement.innerHTML = '';
+    Object.keys(getThresholds().levels).forEach(id => {
+        const row = document.createElement('div');
+        row.className = 'control-row';
+        const label = document.createElement('label');
+        label.textContent = `${id} from (dB) `;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'control-number';
+        input.min = '0';
+        input.max = '150';
+        input.step = '1';
+        input.dataset.state = id;
+        input.addEventListener('change', handleThresholdChange);
+
+        label.appendChild(input);
+        row.appendChild(label);
+        thresholdLevelsElement.appendChild(row);
+    });
+    thresholdSfInput.closest('.control-row').hidden = !getFinalState();
+}
+
+/**
+ * Show the active animation thresholds in the controls dialog
+ */
+function renderThresholdSettings() {
+    const { levels, sfTimeoutMs, hysteresisDb, minDwellMs } = getThresholds();
+    thresholdLevelsElement.querySelectorAll('input[data-state]').forEach(input => {
+        input.value = levels[input.dataset.state];
+    });
+    thresholdSfInput.value = sfTimeoutMs / 1000;
+    thresholdHysteresisInput.value = hysteresisDb;
+    thresholdDwellInput.value = minDwellMs / 1000;
+}
+
+/**
+ * Validate, apply and save edited animation thresholds, hysteresis and dwell time
+ * (applies to the next reading)
+ */
+function handleThresholdChange() {
+    try {
+        const levelInputs = [...thresholdLevelsElement.querySelectorAll('input[data-state]')];
+        const thresholds = setThresholds({
+            levels: Object.fromEntries(levelInputs.map(input => [input.dataset.state, parseFloat(input.value)])),
+            sfTimeoutMs: parseFloat(thresholdSfInput.value) * 1000,
+            hysteresisDb: parseFloat(thresholdHysteresisInput.value),
+            minDwellMs: parseFloat(thresholdDwellInput.value) * 1000
+        });
+        saveSetting(THRESHOLDS_STORAGE_KEY, thresholds);
+    } catch (error) {
+        setStatus(`Thresholds: ${error.message}.`);
+    }
+    renderThresholdSettings();
+}
+
+/**
+ * Restore the default animation thresholds
+ */
+function resetThresholdSettings() {
+    setThresholds(getDefaultThresholds());
+    removeSetting(THRESHOLDS_STORAGE_KEY);
+    renderThresholdSettings();
+}
+
+// ===========================================
+// Room Baseline Functions
+// ===========================================
+
+/**
+ * Fill the room dropdown and apply the active room's baseline
+ */
+function renderRoomProfiles() {
+    roomSelect.innerHTML = '';
+    Object.keys(roomProfiles.rooms).forEach(name => {
+        roomSelect.appendChild(new Option(name, name));
+    });
+    roomSelect.value = roomProfiles.active;
+    relativeModeToggle.checked = roomProfiles.relative;
+    applyRoomBaseline();
+}
+
+/**
+ * Drive animation classification from the baseline when relative mode is on
+ */
+function applyRoomBaseline() {
+    const { baseline } = roomProfiles.rooms[roomProfiles.active];
+    const relative = roomProfiles.relative && Number.isFinite(baseline);
+    setRelativeBaseline(relative ? baseline : null);
+    updateBaselineDisplay();
+}
+
+/**
+ * Show the active room's baseline, or the learning progress
+ */
+function updateBaselineDisplay() {
+    if (baselineLearner) {
+        baselineValueElement.textContent = `Learning… ${formatDuration(baselineLearner.remainingMs())} left`;
+        return;
+    }
+
+    const { baseline, learnedAt } = roomProfiles.rooms[roomProfiles.active];
+    baselineValueElement.textContent = Number.isFinite(baseline)
+        ? `${baseline.toFixed(1)} dB (learned ${new Date(learnedAt).toLocaleDateString()})`
+        : 'Not learned';
+}
+
+/**
+ * Start (or cancel) learning the background level of the active room
+ */
+function toggleBaselineLearning() {
+    if (baselineLearner) {
+        baselineLearner = null;
+        baselineLearnBtn.textContent = 'Learn baseline';
+        updateBaselineDisplay();
+        setStatus('Baseline learning cancelled.');
+        return;
+    }
+
+    if (!isListening) {
+        setStatus('Start listening to learn the room baseline.');
+        return;
+    }
+
+    // Sim levels and a lost input say nothing about the room
+    baselineLearner = createBaselineLearner(BASELINE_LEARN_MS, {
+        isMeasuring: () => !simModeToggle.checked && inputState === 'ok'
+    });
+    baselineLearnBtn.textContent = 'Cancel';
+    updateBaselineDisplay();
+    setStatus(`Learning room baseline for ${BASELINE_LEARN_MS / 60000} min. Keep the room at its usual background noise.`);
+}
+
+/**
+ * Store the learned baseline (L90 of the learning period) in the active room
+ */
+function finishBaselineLearning() {
+    const baseline = baselineLearner.result();
+    baselineLearner = null;
+    baselineLearnBtn.textContent = 'Learn baseline';
+
+    if (!Number.isFinite(baseline)) {
+        setStatus('Baseline learning failed: no signal measured.', true);
+        updateBaselineDisplay();
+        return;
+    }
+
+    roomProfiles.rooms[roomProfiles.active] = { baseline, learnedAt: Date.now() };
+    saveRoomProfiles(roomProfiles);
+    applyRoomBaseline();
+    setStatus(`Baseline for "${roomProfiles.active}": ${baseline.toFixed(1)} dB`);
+}
+
+/**
+ * Switch the active room profile
+ */
+function handleRoomChange() {
+    if (baselineLearner) {
+        toggleBaselineLearning();
+    }
+    roomProfiles.active = roomSelect.value;
+    saveRoomProfiles(roomProfiles);
+    applyRoomBaseline();
+}
+
+/**
+ * Add a new room profile from the name input and select it
+ */
+function handleRoomAdd() {
+    const name = roomNameInput.value.trim();
+    if (!name) {
+        setStatus('Enter a room name first.');
+        return;
+    }
+
+    if (!roomProfiles.rooms[name]) {
+        roomProfiles.rooms[name] = { baseline: null, learnedAt: null };
+    }
+    roomProfiles.active = name;
+    roomNameInput.value = '';
+    saveRoomProfiles(roomProfiles);
+    renderRoomProfiles();
+}
+
+/**
+ * Toggle relative mode (classify readings as dB above the room baseline)
+ */
+function handleRelativeModeToggle() {
+    roomProfiles.relative = relativeModeToggle.checked;
+    saveRoomProfiles(roomProfiles);
+    applyRoomBaseline();
+
+    const { baseline } = roomProfiles.rooms[roomProfiles.active];
+    if (roomProfiles.relative && !Number.isFinite(baseline)) {
+        setStatus('Relative mode needs a learned baseline for this room.');
+    }
+}
+
+// ===========================================
+// Band Exclusion Functions
+// ===========================================
+
+/**
+ * Format an excluded band for the lists
+ * @param {{center: number, width: number}} band - Excluded band
+ * @returns {string} Band description
+ */
+function formatExcludedBand({ center, width }) {
+    return `${center} Hz ± ${width / 2} Hz`;
+}
+
+/**
+ * Render the excluded band list and mark the bands on the visualizer
+ */
+function renderExcludedBands() {
+    excludedBandList.innerHTML = '';
+    excludedBands.forEach((band, index) => {
+        const item = document.createElement('li');
+        item.textContent = formatExcludedBand(band);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-small btn-secondary';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            applyExcludedBands(excludedBands.filter((_, i) => i !== index));
+        });
+        item.appendChild(removeBtn);
+        excludedBandList.appendChild(item);
+    });
+    updateExcludedMarkers();
+}
+
+/**
+ * Store the excluded bands and rebuild the level filter chain
+ * @param {{center: number, width: number}[]} bands - Excluded bands
+ */
+function applyExcludedBands(bands) {
+    excludedBands = bands;
+    saveExcludedBands(excludedBands);
+    connectLevelChain();
+    renderExcludedBands();
+}
+
+/**
+ * Add an excluded band from the center and width inputs
+ * @param {{center: number, width: number}} band - Band to add
+ * @returns {boolean} True if the band was added
+ */
+function addExcludedBand({ center, width }) {
+    try {
+        checkExcludedBand({ center, width });
+    } catch (error) {
+        setStatus(error.message);
+        return false;
+    }
+    if (excludedBands.length >= MAX_EXCLUDED_BANDS) {
+        setStatus(`At most ${MAX_EXCLUDED_BANDS} bands can be excluded.`);
+        return false;
+    }
+
+    applyExcludedBands([...excludedBands, { center, width }]);
+    return true;
+}
+
+/**
+ * Add an excluded band from the dialog inputs
+ */
+function handleExcludedBandAdd() {
+    const added = addExcludedBand({
+        center: parseFloat(excludeCenterInput.value),
+        width: parseFloat(excludeWidthInput.value)
+    });
+    if (added) {
+        excludeCenterInput.value = '';
+    }
+}
+
+/**
+ * Start (or cancel) collecting spectra to auto-detect stationary tones
+ */
+function toggleToneDetection() {
+    if (toneFrames) {
+        cancelToneDetection();
+        setStatus('Tone detection cancelled.');
+        return;
+    }
+
+    if (!isListening || simModeToggle.checked || !analyser) {
+        setStatus('Start listening with the microphone to detect stationary tones.');
+        return;
+    }
+
+    toneFrames = [];
+    lastToneFrameAt = 0;
+    toneSuggestionList.innerHTML = '';
+    toneDetectBtn.textContent = 'Cancel';
+    toneDetectionTimer = setTimeout(finishToneDetection, TONE_DETECTION_MS);
+    setStatus(`Listening for constant hums for ${TONE_DETECTION_MS / 1000} s…`);
+}
+
+/**
+ * Store one spectrum snapshot for tone detection
+ */
+function collectToneFrame() {
+    if (!analyser) {
+        return;
+    }
+    analyser.getFloatFrequencyData(frequencyDbData);
+    toneFrames.push(Float32Array.from(frequencyDbData));
+}
+
+/**
+ * Suggest excluded bands from the stationary tones found in the collected spectra
+ */
+function finishToneDetection() {
+    const frames = toneFrames;
+    const sampleRate = audioContext?.sampleRate;
+    cancelToneDetection();
+
+    if (!sampleRate || !frames.length) {
+        setStatus('Tone detection failed: no spectrum measured.', true);
+        return;
+    }
+
+    const suggestions = detectStationaryTones(frames, sampleRate)
+        .filter(({ center, width }) => !overlapsExcludedBand(center - width / 2, center + width / 2, excludedBands));
+    if (!suggestions.length) {
+        setStatus('No stationary tones found.');
+        return;
+    }
+
+    suggestions.forEach(suggestion => {
+        const item = document.createElement('li');
+        item.textContent = `${formatExcludedBand(suggestion)} (+${suggestion.prominence} dB)`;
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'btn btn-small';
+        addBtn.textContent = 'Exclude';
+        addBtn.addEventListener('click', () => {
+            if (addExcludedBand(suggestion)) {
+                item.remove();
+            }
+        });
+        item.appendChild(addBtn);
+        toneSuggestionList.appendChild(item);
+    });
+    setStatus(`Found ${suggestions.length} stationary tone${suggestions.length === 1 ? '' : 's'}.`);
+}
+
+/**
+ * Stop collecting spectra for tone detection
+ */
+function cancelToneDetection() {
+    clearTimeout(toneDetectionTimer);
+    toneDetectionTimer = null;
+    toneFrames = null;
+    toneDetectBtn.textContent = 'Detect hums';
+}
+
+// ===========================================
+// Voice Activity Functions
+// ===========================================
+
+/**
+ * Add a level frame to the pending voice-activity frame
+ * @param {number} meanSquare - Weighted mean square of the frame
+ * @param {number} zcr - Zero crossings per second of the raw input
+ * @param {number} durationMs - Frame duration
+ */
+function accumulateVoiceFrame(meanSquare, zcr, durationMs) {
+    const frameMs = Math.min(durationMs, MAX_LEVEL_FRAME_MS);
+    vadFrame.energy += meanSquare * frameMs;
+    vadFrame.crossings += (zcr ?? 0) * frameMs;
+    vadFrame.durationMs += frameMs;
+}
+
+/**
+ * Classify the pending frame as speech or non-speech and credit speech energy to the reading
+ */
+function updateVoiceActivity() {
+    const frame = vadFrame;
+    vadFrame = { energy: 0, crossings: 0, durationMs: 0 };
+    if (!frame.durationMs || !analyser) {
+        return;
+    }
+
+    analyser.getFloatFrequencyData(frequencyDbData);
+    const sampleRate = audioContext.sampleRate;
+    const speech = voiceActivity.process({
+        speechRatio: speechBandRatio(frequencyDbData, sampleRate),
+        flatness: computeSpectralFeatures(frequencyDbData, sampleRate).flatness,
+        zeroCrossingRate: frame.crossings / frame.durationMs,
+        level: calculateDB(Math.sqrt(frame.energy / frame.durationMs), getLevelOffset())
+    }, frame.durationMs);
+
+    speechPeriod.durationMs += frame.durationMs;
+    if (speech) {
+        speechPeriod.speechEnergy += frame.energy;
+        speechPeriod.speechMs += frame.durationMs;
+    }
+}
+
+/**
+ * Voice activity since the last reading; starts a new reading period
+ * @returns {{speech: boolean|null, speechFraction: number, speechDb: number}} Speech tag (null without
+ *   live input), share of speech time, and speech-weighted level (non-speech time counts as silence)
+ */
+function takeVoiceActivity() {
+    const period = speechPeriod;
+    speechPeriod = { speechEnergy: 0, speechMs: 0, durationMs: 0 };
+
+    if (simModeToggle.checked || !period.durationMs) {
+        return { speech: null, speechFraction: NaN, speechDb: NaN };
+    }
+
+    const speechFraction = period.speechMs / period.durationMs;
+    return {
+        speech: speechFraction >= SPEECH_READING_SHARE,
+        speechFraction,
+        speechDb: calculateDB(Math.sqrt(period.speechEnergy / period.durationMs), getLevelOffset())
+    };
+}
+
+/**
+ * Clear the detector and the pending frames (new session)
+ */
+function resetVoiceActivity() {
+    voiceActivity.reset();
+    vadFrame = { energy: 0, crossings: 0, durationMs: 0 };
+    speechPeriod = { speechEnergy: 0, speechMs: 0, durationMs: 0 };
+    lastVadUpdate = 0;
+}
+
+/**
+ * Show the speech tag of the latest reading
+ * @param {{speech: boolean|null, speechFraction: number}} reading - Current reading
+ */
+function updateVoiceDisplay({ speech, speechFraction }) {
+    if (speech === null) {
+        vadStatusElement.textContent = '--';
+        return;
+    }
+    const share = `${Math.round(speechFraction * 100)} % speech`;
+    vadStatusElement.textContent = speech ? `Speech (${share})` : `Non-speech (${share})`;
+}
+
+/**
+ * Toggle whether the animation reacts only to the speech-weighted level
+ */
+function handleSpeechOnlyToggle() {
+    speechOnly = speechOnlyToggle.checked;
+    saveSetting(SPEECH_ONLY_STORAGE_KEY, speechOnly);
+}
+
+// ===========================================
+// Transient Event Functions
+// ===========================================
+
+/**
+ * Feed a level frame to the transient detector and log completed events
+ * @param {number} level - Un-time-weighted frame level in dB
+ * @param {number} durationMs - Frame duration
+ */
+function detectTransient(level, durationMs) {
+    const event = transientDetector.process(level, Math.min(durationMs, MAX_LEVEL_FRAME_MS));
+    if (event) {
+        transientEvents = [event, ...transientEvents].slice(0, MAX_LOGGED_EVENTS);
+        renderEventLog();
+        updateEventMarkers();
+    }
+}
+
+/**
+ * Render the event log in the controls dialog
+ */
+function renderEventLog() {
+    eventLogList.innerHTML = '';
+    transientEvents.forEach(({ timestamp, peakDb, durationMs }) => {
+        const item = document.createElement('li');
+        item.textContent = `${new Date(timestamp).toLocaleTimeString()} · ${peakDb.toFixed(1)} dB`
+            + ` · ${Math.round(durationMs)} ms`;
+        eventLogList.appendChild(item);
+    });
+    eventCountElement.textContent = `${transientEvents.length} event${transientEvents.length === 1 ? '' : 's'}`;
+}
+
+/**
+ * Place a marker on the visualizer for each event in the last EVENT_MARKER_WINDOW_MS (newest on the right)
+ * @param {number} now - Current time (Date.now())
+ */
+function updateEventMarkers(now = Date.now()) {
+    visualizer.querySelectorAll('.event-marker').forEach(marker => marker.remove());
+
+    transientEvents
+        .filter(({ timestamp }) => now - timestamp < EVENT_MARKER_WINDOW_MS)
+        .forEach(({ timestamp, peakDb, durationMs }) => {
+            const marker = document.createElement('div');
+            marker.className = 'event-marker';
+            marker.style.left = `${(1 - (now - timestamp) / EVENT_MARKER_WINDOW_MS) * 100}%`;
+            marker.textContent = Math.round(peakDb);
+            marker.title = `${new Date(timestamp).toLocaleTimeString()}: ${peakDb.toFixed(1)} dB, ${Math.round(durationMs)} ms`;
+            visualizer.appendChild(marker);
+        });
+}
+
+/**
+ * Clear the event log and the visualizer markers
+ */
+function clearTransientEvents() {
+    transientEvents = [];
+    renderEventLog();
+    updateEventMarkers();
+}
+
+// ===========================================
+// Display Mode Functions
 // ===========================================
 
 /**
- * Toggle Controls Dialog visibility
+ * Keep the screen on while listening in display mode
  */
-function toggleDialog() {
-    if (controlsDialog.open) {
-        controlsDialog.close();
+async function acquireWakeLock() {
+    if (!displayMode || !isListening || document.hidden || wakeLock || wakeLockPending) {
+        return;
+    }
+    if (!('wakeLock' in navigator)) {
+        setWarning('Screen wake lock is not supported in this browser; the screen may still sleep.');
+        return;
+    }
+
+    wakeLockPending = true;
+    try {
+        wakeLock = await navigator.wakeLock.request('screen');
+        // The browser releases the lock whenever the page is hidden
+        wakeLock.addEventListener('release', () => {
+            wakeLock = null;
+        });
+    } catch (error) {
+        console.warn('Screen wake lock request failed:', error);
+    } finally {
+        wakeLockPending = false;
+    }
+}
+
+/**
+ * Let the screen sleep again
+ */
+function releaseWakeLock() {
+    if (wakeLock) {
+        wakeLock.release().catch(error => console.warn('Screen wake lock release failed:', error));
+        wakeLock = null;
+    }
+}
+
+/**
+ * Go fullscreen (needs a user gesture: the display mode toggle or Start)
+ */
+function enterFullscreen() {
+    const root = document.documentElement;
+    if (document.fullscreenElement || typeof root.requestFullscreen !== 'function') {
+        return;
+    }
+    root.requestFullscreen({ navigationUI: 'hide' })
+        .catch(error => console.warn('Fullscreen request failed:', error));
+}
+
+/**
+ * Leave fullscreen if display mode entered it
+ */
+function exitFullscreen() {
+    if (document.fullscreenElement && typeof document.exitFullscreen === 'function') {
+        document.exitFullscreen().catch(error => console.warn('Fullscreen exit failed:', error));
+    }
+}
+
+/**
+ * Apply display mode: fullscreen, hidden cursor, gear only through its hit area, wake lock
+ */
+function applyDisplayMode() {
+    document.body.classList.toggle('display-mode', displayMode);
+    displayModeToggle.checked = displayMode;
+
+    if (displayMode) {
+        acquireWakeLock();
     } else {
-        controlsDialog.showModal();
+        releaseWakeLock();
     }
-    // Update gear visibility based on dialog state
-    updateGearVisibility();
 }
 
 /**
- * Handle click outside dialog to close
+ * Toggle display mode from the controls dialog
  */
-function handleDialogClick(event) {
-    const rect = controlsDialog.getBoundingClientRect();
-    const isInDialog = (
-        event.clientX >= rect.left &&
-        event.clientX <= rect.right &&
-        event.clientY >= rect.top &&
-        event.clientY <= rect.bottom
-    );
-    if (!isInDialog) {
+function handleDisplayModeToggle() {
+    displayMode = displayModeToggle.checked;
+    saveSetting(DISPLAY_MODE_STORAGE_KEY, displayMode);
+    applyDisplayMode();
+
+    if (displayMode) {
+        enterFullscreen();
         controlsDialog.close();
         updateGearVisibility();
+    } else {
+        exitFullscreen();
     }
 }
 
 // ===========================================
-// Toggle Functions
+// Sim Scenario Functions
 // ===========================================
 
 /**
- * Toggle visualizer visibility
+ * Fill the scenario and speed dropdowns with the built-in and loaded scenarios
  */
-function handleVisualizerToggle() {
-    visualizer.classList.toggle('hidden', !showVisualizerToggle.checked);
+function renderScenarioOptions() {
+    const selected = simScenarioSelect.value;
+    simScenarioSelect.innerHTML = '';
+    simScenarioSelect.appendChild(new Option('Manual (slider)', ''));
+    [...getBuiltinScenarios(), ...customScenarios].forEach(source => {
+        const { id, name } = parseScenario(source);
+        simScenarioSelect.appendChild(new Option(name, id));
+    });
+    simScenarioSelect.value = selected;
+
+    if (!simSpeedSelect.options.length) {
+        SCENARIO_SPEEDS.forEach(speed => simSpeedSelect.appendChild(new Option(`${speed}×`, String(speed))));
+        simSpeedSelect.value = '1';
+    }
 }
 
 /**
- * Toggle dB reading visibility
+ * Switch between the manual slider and a scenario
  */
-function handleDbReadingToggle() {
-    dbReading.classList.toggle('hidden', !showDbReadingToggle.checked);
+function handleScenarioChange() {
+    const source = [...getBuiltinScenarios(), ...customScenarios]
+        .find(candidate => parseScenario(candidate).id === simScenarioSelect.value);
+
+    if (!source) {
+        scenarioPlayer = null;
+        updateScenarioProgress();
+        return;
+    }
+
+    const scenario = parseScenario(source);
+    scenarioPlayer = createScenarioPlayer(scenario, { speed: parseFloat(simSpeedSelect.value) });
+    simLoopToggle.checked = scenario.loop;
+    updateScenarioProgress();
+
+    if (!simModeToggle.checked) {
+        setStatus(`Scenario "${scenario.name}" plays when sim mode is on.`);
+    }
 }
 
 /**
- * Toggle sim mode
+ * Advance the playing scenario and mirror its level on the slider
+ * @param {number} elapsedMs - Real time since the last step
+ * @returns {number} Scenario level in dB
  */
-function handleSimModeToggle() {
-    const isSimMode = simModeToggle.checked;
-    
-    // Show/hide the vertical slider container
-    simSliderContainer.classList.toggle('hidden', !isSimMode);
-    
-    if (isSimMode && isListening) {
-        // When enabling sim mode while listening, stop microphone but keep "listening" state
-        stopMicrophoneOnly();
-        setStatus('Sim mode active');
-    } else if (!isSimMode && isListening) {
-        // When disabling sim mode while listening, restart microphone
-        restartMicrophone();
-    }
-    
-    // If sim mode is enabled and we're listening, trigger immediate update
-    if (isSimMode && isListening) {
-        const db = parseInt(simSlider.value, 10);
-        updateDbDisplay(db);
-        updateVisualizer(generateSimVisualizerData(db));
+function advanceScenario(elapsedMs) {
+    const db = scenarioPlayer.advance(elapsedMs);
+    simSlider.value = String(Math.round(db));
+    return db;
+}
+
+/**
+ * Show the playback position of the scenario
+ */
+function updateScenarioProgress() {
+    if (!scenarioPlayer) {
+        simScenarioProgress.textContent = '--';
+        return;
     }
+    const { elapsedMs, durationMs } = scenarioPlayer.progress();
+    simScenarioProgress.textContent = `${formatDuration(elapsedMs)} / ${formatDuration(durationMs)}`
+        + (scenarioPlayer.isFinished() ? ' · done' : '');
 }
 
 /**
- * Stop microphone resources only (keep listening state)
+ * Load a scenario from a JSON file, keep it for later sessions and select it
  */
-function stopMicrophoneOnly() {
-    if (mediaStream) {
-        mediaStream.getTracks().forEach(track => track.stop());
-        mediaStream = null;
+async function handleScenarioFileLoad() {
+    const [file] = simScenarioFileInput.files;
+    simScenarioFileInput.value = '';
+    if (!file) {
+        return;
     }
-    if (microphone) {
-        microphone.disconnect();
-        microphone = null;
+
+    try {
+        const source = importCustomScenario(JSON.parse(await file.text()));
+        const { id, name } = parseScenario(source);
+        customScenarios = [
+            ...customScenarios.filter(candidate => parseScenario(candidate).id !== id),
+            source
+        ];
+        saveCustomScenarios(customScenarios);
+        renderScenarioOptions();
+        simScenarioSelect.value = id;
+        handleScenarioChange();
+        setStatus(`Scenario "${name}" loaded.`);
+    } catch (error) {
+        setStatus(`Invalid scenario file: ${error.message}`, true);
     }
-    if (audioContext) {
-        audioContext.close().catch(err => console.warn('AudioContext close error:', err));
-        audioContext = null;
+}
+
+// ===========================================
+// Audio File Input Functions
+// ===========================================
+
+/**
+ * Load the calibration offset of the file or generator input (calibrated like a microphone)
+ */
+function applyInputCalibration() {
+    activeDeviceId = inputSourceType === 'generator' ? GENERATOR_CALIBRATION_ID : FILE_CALIBRATION_ID;
+    updateCalibrationDisplay();
+}
+
+/**
+ * Create the <audio> element and source node for the chosen file and start playback.
+ * The file is also routed to the speakers so it can be heard while it is analyzed.
+ * @returns {MediaElementAudioSourceNode} Source node for the analysis graph
+ */
+function createFileSource() {
+    fileElement = new Audio(audioFileUrl);
+    fileElement.addEventListener('timeupdate', updateFilePosition);
+    fileElement.addEventListener('loadedmetadata', updateFilePosition);
+    fileElement.addEventListener('play', () => setFilePlaying(true));
+    fileElement.addEventListener('pause', () => setFilePlaying(false));
+    fileElement.addEventListener('ended', () => setStatus('Playback finished.'));
+    fileElement.addEventListener('error', () => {
+        setStatus(`Cannot play "${audioFile.name}". Use a WAV, MP3 or OGG file.`, true);
+    });
+
+    fileSource = audioContext.createMediaElementSource(fileElement);
+    fileSource.connect(audioContext.destination);
+    fileElement.play().catch(error => console.warn('Audio file playback failed:', error));
+    updateFileControls();
+    return fileSource;
+}
+
+/**
+ * Stop playback and drop the file source (the file itself stays selected)
+ */
+function releaseFileSource() {
+    if (fileElement) {
+        const element = fileElement;
+        fileElement = null; // Its pause event must not mark the input as paused
+        element.pause();
+        element.removeAttribute('src');
+        element.load();
     }
-    analyser = null;
-    dataArray = null;
+    if (fileSource) {
+        fileSource.disconnect();
+        fileSource = null;
+    }
+    updateFileControls();
 }
 
 /**
- * Restart microphone capture
+ * Rebuild the audio context around the file or generator input (e.g. after sim mode)
+ * @returns {Promise<boolean>} True if the input restarted
  */
-async function restartMicrophone() {
+async function restartLocalInput() {
     try {
-        setStatus('Restarting microphone...');
-        
-        mediaStream = await navigator.mediaDevices.getUserMedia(AUDIO_CONSTRAINTS);
-        
+        applyInputCalibration();
         const AudioContextClass = window.AudioContext || window.webkitAudioContext;
         audioContext = new AudioContextClass();
-        
         if (audioContext.state === 'suspended') {
             await audioContext.resume();
         }
-        
-        microphone = audioContext.createMediaStreamSource(mediaStream);
-        analyser = audioContext.createAnalyser();
-        analyser.fftSize = FFT_SIZE;
-        analyser.smoothingTimeConstant = 0.8;
-        microphone.connect(analyser);
-        dataArray = new Uint8Array(analyser.frequencyBinCount);
-        
-        setStatus('Listening...');
+
+        await createAnalysisGraph(inputSourceType === 'file' ? createFileSource() : createGeneratorSource());
+        lastLevelUpdate = 0;
+        timeWeighting.reset();
+        inputState = 'ok';
+        setStatus(getListeningStatus());
+        return true;
     } catch (error) {
-        console.error('Restart microphone error:', error);
+        console.error('Restart input error:', error);
         setStatus(getErrorMessage(error));
+        return false;
     }
 }
 
 /**
- * Update dB reading display when sim slider changes
+ * Track play/pause: a paused file is treated like a muted input (no levels recorded)
+ * @param {boolean} playing - True while the file plays
  */
-function handleSimSliderChange() {
-    const db = parseInt(simSlider.value, 10);
-    
-    // If sim mode is active and listening, update immediately
-    if (simModeToggle.checked && isListening) {
-        updateDbDisplay(db);
-        updateVisualizer(generateSimVisualizerData(db));
+function setFilePlaying(playing) {
+    if (!fileElement) {
+        return;
+    }
+    inputState = playing ? 'ok' : 'paused';
+    if (playing) {
+        timeWeighting.reset();
+        lastLevelUpdate = 0;
+    }
+    updateFileControls();
+}
+
+/**
+ * Enable the transport controls while a file is loaded into the graph
+ */
+function updateFileControls() {
+    const active = Boolean(fileElement);
+    filePlayBtn.disabled = !active;
+    fileSeekSlider.disabled = !active;
+    filePlayBtn.textContent = active && !fileElement.paused ? 'Pause' : 'Play';
+    if (!active) {
+        fileSeekSlider.value = '0';
+        filePositionElement.textContent = audioFile ? audioFile.name : 'No file';
+    }
+}
+
+/**
+ * Show the playback position and move the seek slider
+ */
+function updateFilePosition() {
+    if (!fileElement || !Number.isFinite(fileElement.duration)) {
+        return;
+    }
+    if (!isSeeking) {
+        fileSeekSlider.value = String(Math.round(fileElement.currentTime / fileElement.duration * 1000));
+    }
+    filePositionElement.textContent = `${formatDuration(fileElement.currentTime * 1000)}`
+        + ` / ${formatDuration(fileElement.duration * 1000)}`;
+}
+
+/**
+ * Use a newly chosen audio file as the input
+ */
+function handleAudioFileChange() {
+    const [file] = audioFileInput.files;
+    if (!file) {
+        return;
+    }
+
+    if (audioFileUrl) {
+        URL.revokeObjectURL(audioFileUrl);
+    }
+    audioFile = file;
+    audioFileUrl = URL.createObjectURL(file);
+    inputSourceSelect.value = 'file';
+    handleInputSourceChange();
+}
+
+/**
+ * Switch between the microphone and the audio file
+ */
+function handleInputSourceChange() {
+    inputSourceType = inputSourceSelect.value;
+    deviceSelect.disabled = inputSourceType !== 'microphone';
+    updateFileControls();
+
+    if (!isListening || simModeToggle.checked) {
+        return;
+    }
+
+    cancelReconnect();
+    stopMicrophoneOnly();
+    if (inputSourceType === 'file' && !audioFile) {
+        inputState = 'paused';
+        setStatus('Choose an audio file to analyze.');
+        return;
+    }
+    inputState = 'ok';
+    restartInput();
+}
+
+/**
+ * Play or pause the audio file
+ */
+function toggleFilePlayback() {
+    if (!fileElement) {
+        return;
+    }
+    if (fileElement.paused) {
+        fileElement.play().catch(error => console.warn('Audio file playback failed:', error));
+    } else {
+        fileElement.pause();
+    }
+}
+
+/**
+ * Seek the audio file from the slider (0–1000 of its duration)
+ */
+function handleFileSeek() {
+    if (!fileElement || !Number.isFinite(fileElement.duration)) {
+        return;
+    }
+    isSeeking = true;
+    fileElement.currentTime = fileSeekSlider.value / 1000 * fileElement.duration;
+    timeWeighting.reset();
+}
+
+// ===========================================
+// Signal Generator Functions
+// ===========================================
+
+/**
+ * Start the generator for the analysis graph (not routed to the speakers)
+ * @returns {GainNode} Generator output for the analysis graph
+ */
+function createGeneratorSource() {
+    generator = createGenerator(audioContext, generatorSettings);
+    return generator.output;
+}
+
+/**
+ * Stop the generator
+ */
+function releaseGeneratorSource() {
+    if (generator) {
+        generator.stop();
+        generator = null;
+    }
+}
+
+/**
+ * Fill the generator controls from the saved settings
+ */
+function renderGeneratorSettings() {
+    generatorSignalSelect.innerHTML = '';
+    Object.entries(GENERATOR_SIGNALS).forEach(([value, { label }]) => {
+        generatorSignalSelect.appendChild(new Option(label, value));
+    });
+    generatorSignalSelect.value = generatorSettings.signal;
+    generatorLevelInput.value = generatorSettings.levelDbfs;
+    generatorFrequencyInput.value = generatorSettings.frequency;
+    generatorFrequencyInput.disabled = generatorSettings.signal !== 'tone';
+}
+
+/**
+ * Apply and remember changed generator settings (live while the generator runs)
+ */
+function handleGeneratorChange() {
+    const levelDbfs = parseFloat(generatorLevelInput.value);
+    const frequency = parseFloat(generatorFrequencyInput.value);
+    if (!Number.isFinite(levelDbfs) || levelDbfs < -100 || levelDbfs > 0
+        || !Number.isFinite(frequency) || frequency < 20 || frequency > 20000) {
+        setStatus('Generator level must be −100 to 0 dBFS and the tone 20 Hz to 20 kHz.');
+        renderGeneratorSettings();
+        return;
+    }
+
+    generatorSettings = { signal: generatorSignalSelect.value, levelDbfs, frequency };
+    saveSetting(GENERATOR_STORAGE_KEY, generatorSettings);
+    generatorFrequencyInput.disabled = generatorSettings.signal !== 'tone';
+
+    if (generator) {
+        generator.setSignal(generatorSettings.signal);
+        generator.setLevel(levelDbfs);
+        generator.setFrequency(frequency);
+        setStatus(getListeningStatus());
     }
 }
 
@@ -690,10 +3043,92 @@ controlsDialog.addEventListener('click', handleDialogClick);
 
 // Toggle switches
 showVisualizerToggle.addEventListener('change', handleVisualizerToggle);
+visualizerLayoutSelect.addEventListener('change', handleVisualizerLayoutChange);
 showDbReadingToggle.addEventListener('change', handleDbReadingToggle);
+showFeaturesToggle.addEventListener('change', handleFeaturesToggle);
 simModeToggle.addEventListener('change', handleSimModeToggle);
+weightingSelect.addEventListener('change', handleWeightingChange);
+timeWeightingSelect.addEventListener('change', handleTimeWeightingChange);
+deviceSelect.addEventListener('change', handleDeviceChange);
+
+// Audio file input
+inputSourceSelect.addEventListener('change', handleInputSourceChange);
+audioFileInput.addEventListener('change', handleAudioFileChange);
+filePlayBtn.addEventListener('click', toggleFilePlayback);
+fileSeekSlider.addEventListener('input', handleFileSeek);
+fileSeekSlider.addEventListener('change', () => {
+    isSeeking = false;
+});
+
+// Signal generator
+generatorSignalSelect.addEventListener('change', handleGeneratorChange);
+generatorLevelInput.addEventListener('change', handleGeneratorChange);
+generatorFrequencyInput.addEventListener('change', handleGeneratorChange);
+navigator.mediaDevices?.addEventListener?.('devicechange', handleDeviceListChange);
+
+// Calibration
+calibrationMeasureBtn.addEventListener('click', startCalibrationMeasurement);
+calibrationApplyBtn.addEventListener('click', applyCalibration);
+calibrationResetBtn.addEventListener('click', resetCalibration);
+
+// Statistics
+statsResetBtn.addEventListener('click', () => {
+    levelStatistics.reset();
+    doseMeter.reset();
+    resetPeak();
+    updateStatsPanel();
+    updatePeakDisplay();
+});
+
+// Noise dose
+doseStandardSelect.addEventListener('change', handleDoseStandardChange);
+doseCriterionInput.addEventListener('change', handleDoseParameterChange);
+doseExchangeInput.addEventListener('change', handleDoseParameterChange);
+
+// Animation thresholds
+thresholdSfInput.addEventListener('change', handleThresholdChange);
+thresholdHysteresisInput.addEventListener('change', handleThresholdChange);
+thresholdDwellInput.addEventListener('change', handleThresholdChange);
+thresholdResetBtn.addEventListener('click', resetThresholdSettings);
+
+// Room baseline
+roomSelect.addEventListener('change', handleRoomChange);
+roomAddBtn.addEventListener('click', handleRoomAdd);
+baselineLearnBtn.addEventListener('click', toggleBaselineLearning);
+relativeModeToggle.addEventListener('change', handleRelativeModeToggle);
+
+// Band exclusion
+excludeAddBtn.addEventListener('click', handleExcludedBandAdd);
+toneDetectBtn.addEventListener('click', toggleToneDetection);
+
+// Voice activity
+speechOnlyToggle.addEventListener('change', handleSpeechOnlyToggle);
+
+// Transient events
+eventClearBtn.addEventListener('click', clearTransientEvents);
+
+// Display mode
+displayModeToggle.addEventListener('change', handleDisplayModeToggle);
 simSlider.addEventListener('input', handleSimSliderChange);
 
+// Sim scenarios
+simScenarioSelect.addEventListener('change', handleScenarioChange);
+simSpeedSelect.addEventListener('change', () => {
+    if (scenarioPlayer) {
+        scenarioPlayer.speed = parseFloat(simSpeedSelect.value);
+    }
+});
+simLoopToggle.addEventListener('change', () => {
+    if (scenarioPlayer) {
+        scenarioPlayer.loop = simLoopToggle.checked;
+    }
+});
+simRestartBtn.addEventListener('click', () => {
+    scenarioPlayer?.restart();
+    updateScenarioProgress();
+});
+simScenarioFileInput.addEventListener('change', handleScenarioFileLoad);
+
 // Audio controls
 startBtn.addEventListener('click', startListening);
 stopBtn.addEventListener('click', stopListening);
@@ -817,6 +3252,18 @@ async function attachVersionLabel() {
 
 document.addEventListener('DOMContentLoaded', () => {
     initializeVisualizer();
+    updateWeightingSuffix();
+    updateCalibrationDisplay();
+    renderDoseSettings();
+    initAnimationModel();
+    renderRoomProfiles();
+    renderExcludedBands();
+    speechOnlyToggle.checked = speechOnly;
+    applyDisplayMode();
+    updateFileControls();
+    renderGeneratorSettings();
+    updateStatsPanel();
+    populateDeviceList();
     updateButtonStates();
     preloadAssets();
     registerServiceWorker();
@@ -827,28 +3274,26 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('dBwatch initialized (v2.0 - Refactored)');
 });
 
-// Handle page visibility changes (pause/resume when tab hidden/visible)
+// Handle page visibility changes (rendering pauses while hidden, measurement does not)
 let wasListeningBeforeHidden = false;
 let audioContextWasSuspended = false;
 
 document.addEventListener('visibilitychange', async () => {
     if (document.hidden) {
-        // Tab hidden - pause audio processing to save resources
+        // Tab hidden - measurement keeps running on its timer and the worklet;
+        // requestAnimationFrame stops firing, which pauses rendering only
         if (isListening && audioContext) {
             wasListeningBeforeHidden = true;
             audioContextWasSuspended = audioContext.state !== 'suspended';
-            
-            // Cancel animation frame to stop processing
-            if (animationId) {
-                cancelAnimationFrame(animationId);
-                animationId = null;
-            }
-            console.log('Tab hidden, audio processing paused');
+            console.log('Tab hidden, rendering paused, measurement continues');
         }
     } else {
-        // Tab visible - resume audio processing
+        // Wake locks are released while hidden
+        acquireWakeLock();
+
+        // Tab visible - resume rendering
         if (wasListeningBeforeHidden && audioContext) {
-            // Resume AudioContext if it was suspended
+            // Resume AudioContext if the browser suspended it while hidden
             if (audioContext.state === 'suspended' && audioContextWasSuspended) {
                 try {
                     await audioContext.resume();
@@ -857,12 +3302,13 @@ document.addEventListener('visibilitychange', async () => {
                     console.warn('Failed to resume AudioContext:', error);
                 }
             }
-            
-            // Restart processing loop
-            if (!animationId) {
-                processAudio();
+
+            // Redraw right away instead of waiting for the next interval
+            lastVisualizerUpdate = 0;
+            if (isListening && !animationId) {
+                animationId = requestAnimationFrame(renderFrame);
             }
-            console.log('Tab visible, audio processing resumed');
+            console.log('Tab visible, rendering resumed');
         }
         wasListeningBeforeHidden = false;
     }
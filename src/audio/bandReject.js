@@ -0,0 +1,167 @@
+/**
+ * Frequency-band exclusion: notch filters in front of the level calculation
+ * to ignore constant hums (mains, projector fans, machinery), plus a helper
+ * that suggests bands from stationary tones in the current spectrum.
+ *
+ * A band is `{ center, width }` in Hz; it is realized as a notch biquad whose
+ * −3 dB bandwidth equals `width` (Q = center / width), doubled for depth.
+ */
+import { loadSetting, saveSetting } from '../storage.js';
+
+const STORAGE_KEY = 'excludedBands';
+
+export const TONE_DETECTION_MS = 5000;
+export const MAX_EXCLUDED_BANDS = 12;
+export const MIN_BAND_CENTER = 20;
+export const MAX_BAND_CENTER = 20000;
+// Suggested bands are a fixed fraction of the tone frequency (50 Hz hum: 6 Hz wide)
+export const SUGGESTED_BAND_Q = 8;
+const MIN_SUGGESTED_WIDTH = 2;
+const NOTCH_STAGES = 2;
+
+function isValidBand(band) {
+    return Number.isFinite(band?.center) && Number.isFinite(band?.width)
+        && band.center > 0 && band.width > 0;
+}
+
+/**
+ * Check a band entered by the user or suggested by tone detection
+ * @param {{center: number, width: number}} band - Band to exclude
+ * @throws {Error} When the center is outside 20 Hz–20 kHz or the width exceeds the center (Q < 1)
+ */
+export function checkExcludedBand({ center, width }) {
+    if (!Number.isFinite(center) || !Number.isFinite(width) || center < MIN_BAND_CENTER || center > MAX_BAND_CENTER
+        || width <= 0 || width > center) {
+        throw new Error('Enter a center between 20 Hz and 20 kHz and a width no larger than the center.');
+    }
+}
+
+export function loadExcludedBands() {
+    const stored = loadSetting(STORAGE_KEY, []);
+    return Array.isArray(stored) ? stored.filter(isValidBand).slice(0, MAX_EXCLUDED_BANDS) : [];
+}
+
+export function saveExcludedBands(bands) {
+    saveSetting(STORAGE_KEY, bands);
+}
+
+/**
+ * Lower and upper edge of an excluded band
+ * @param {{center: number, width: number}} band - Excluded band
+ * @returns {{low: number, high: number}} Edges in Hz
+ */
+export function bandEdges({ center, width }) {
+    return { low: Math.max(0, center - width / 2), high: center + width / 2 };
+}
+
+/**
+ * Whether a frequency range overlaps any excluded band
+ * @param {number} low - Lower edge in Hz
+ * @param {number} high - Upper edge in Hz
+ * @param {{center: number, width: number}[]} bands - Excluded bands
+ * @returns {boolean}
+ */
+export function overlapsExcludedBand(low, high, bands) {
+    return bands.some(band => {
+        const edges = bandEdges(band);
+        return edges.low < high && edges.high > low;
+    });
+}
+
+/**
+ * Create the notch filter nodes for the excluded bands
+ * @param {BaseAudioContext} audioContext - Audio context
+ * @param {{center: number, width: number}[]} bands - Excluded bands
+ * @returns {BiquadFilterNode[]} Unconnected filter nodes, in cascade order
+ */
+export function createBandRejectFilters(audioContext, bands) {
+    const nyquist = audioContext.sampleRate / 2;
+    return bands
+        .filter(band => isValidBand(band) && band.center < nyquist)
+        .flatMap(({ center, width }) => Array.from({ length: NOTCH_STAGES }, () => {
+            const filter = audioContext.createBiquadFilter();
+            filter.type = 'notch';
+            filter.frequency.value = center;
+            filter.Q.value = center / width;
+            return filter;
+        }));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Suggest bands to exclude from stationary tonal peaks in recorded spectra.
+ * The peak position is interpolated between bins, so the suggested width
+ * follows the tone frequency (`SUGGESTED_BAND_Q`) rather than the bin width.
+ * @param {Float32Array[]} frames - Spectra in dB (AnalyserNode.getFloatFrequencyData)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {{prominenceDb?: number, maxDeviationDb?: number, maxTones?: number}} options - Detection options
+ * @returns {{center: number, width: number, prominence: number}[]} Suggested bands, most prominent first
+ */
+export function detectStationaryTones(frames, sampleRate, {
+    prominenceDb = 10,
+    maxDeviationDb = 3,
+    maxTones = 5
+} = {}) {
+    if (!frames.length) {
+        return [];
+    }
+
+    const binCount = frames[0].length;
+    const binWidth = sampleRate / (2 * binCount);
+    const mean = new Float64Array(binCount);
+    const deviation = new Float64Array(binCount);
+    const floorDb = -160;
+
+    frames.forEach(frame => {
+        for (let i = 0; i < binCount; i++) {
+            mean[i] += Math.max(floorDb, frame[i]) / frames.length;
+        }
+    });
+    frames.forEach(frame => {
+        for (let i = 0; i < binCount; i++) {
+            const diff = Math.max(floorDb, frame[i]) - mean[i];
+            deviation[i] += diff * diff / frames.length;
+        }
+    });
+
+    const neighbourhood = 8;
+    const candidates = [];
+    for (let i = 2; i < binCount - 2; i++) {
+        if (mean[i] < mean[i - 1] || mean[i] < mean[i + 1] || Math.sqrt(deviation[i]) > maxDeviationDb) {
+            continue;
+        }
+
+        // Prominence over the local spectral floor, skipping the peak's own skirt
+        const around = [];
+        for (let j = Math.max(0, i - neighbourhood); j <= Math.min(binCount - 1, i + neighbourhood); j++) {
+            if (Math.abs(j - i) > 1) {
+                around.push(mean[j]);
+            }
+        }
+        const prominence = mean[i] - median(around);
+        if (prominence < prominenceDb) {
+            continue;
+        }
+
+        // Parabolic interpolation of the peak position
+        const denominator = mean[i - 1] - 2 * mean[i] + mean[i + 1];
+        const shift = denominator ? 0.5 * (mean[i - 1] - mean[i + 1]) / denominator : 0;
+        const center = Math.round((i + shift) * binWidth);
+        if (center < MIN_BAND_CENTER || center > MAX_BAND_CENTER) {
+            continue;
+        }
+        candidates.push({
+            center,
+            width: Math.max(MIN_SUGGESTED_WIDTH, Math.round(center / SUGGESTED_BAND_Q)),
+            prominence: Math.round(prominence * 10) / 10
+        });
+    }
+
+    return candidates
+        .sort((a, b) => b.prominence - a.prominence)
+        .slice(0, maxTones);
+}
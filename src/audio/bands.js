@@ -0,0 +1,96 @@
+/**
+ * Octave and third-octave band analysis (IEC 61260-1 base-10 bands).
+ *
+ * Band levels are computed from an FFT power spectrum by summing the energy of
+ * the bins inside each band. Bands narrower than one FFT bin borrow the energy
+ * density of the bin at their center frequency.
+ */
+
+export const BAND_LAYOUTS = {
+    octave: { label: '1/1 octave', fraction: 1 },
+    third: { label: '1/3 octave', fraction: 3 }
+};
+
+// Band range: 31.5 Hz – 16 kHz (nominal), expressed as band indices relative to 1 kHz
+const OCTAVE_RATIO = Math.pow(10, 3 / 10);
+const LOWEST_OCTAVE_INDEX = -5; // 31.5 Hz
+const HIGHEST_OCTAVE_INDEX = 4; // 16 kHz
+
+// Nominal mid-band frequencies (IEC 61260-1 Annex E) used for labels
+const NOMINAL_FREQUENCIES = [
+    25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+    1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000
+];
+
+function nominalFrequency(exact) {
+    return NOMINAL_FREQUENCIES.reduce((best, nominal) => (
+        Math.abs(Math.log(nominal / exact)) < Math.abs(Math.log(best / exact)) ? nominal : best
+    ));
+}
+
+/**
+ * Format a frequency as a compact label (e.g. 31.5, 250, 1k, 12.5k)
+ * @param {number} frequency - Frequency in Hz
+ * @returns {string} Label
+ */
+export function formatFrequency(frequency) {
+    if (frequency >= 1000) {
+        return `${frequency / 1000}k`;
+    }
+    return String(frequency);
+}
+
+/**
+ * Build the bands for a 1/1 or 1/3 octave layout
+ * @param {number} fraction - Bands per octave (1 or 3)
+ * @returns {{label: string, center: number, low: number, high: number}[]} Bands
+ */
+export function createBands(fraction) {
+    const bands = [];
+    const first = LOWEST_OCTAVE_INDEX * fraction;
+    const last = HIGHEST_OCTAVE_INDEX * fraction;
+    for (let index = first; index <= last; index++) {
+        const center = 1000 * Math.pow(OCTAVE_RATIO, index / fraction);
+        const halfWidth = Math.pow(OCTAVE_RATIO, 1 / (2 * fraction));
+        bands.push({
+            label: formatFrequency(nominalFrequency(center)),
+            center,
+            low: center / halfWidth,
+            high: center * halfWidth
+        });
+    }
+    return bands;
+}
+
+/**
+ * Sum FFT bin energy into band levels
+ * @param {Float32Array} spectrumDb - Bin levels in dB (AnalyserNode.getFloatFrequencyData)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {{low: number, high: number, center: number}[]} bands - Band definitions
+ * @param {number} offset - dB offset added to every band level (default 0)
+ * @returns {number[]} Band levels in dB (-Infinity when silent or above Nyquist)
+ */
+export function computeBandLevels(spectrumDb, sampleRate, bands, offset = 0) {
+    const binWidth = sampleRate / (2 * spectrumDb.length);
+    const binPower = index => Math.pow(10, spectrumDb[index] / 10);
+
+    return bands.map(({ low, high, center }) => {
+        const firstBin = Math.ceil(low / binWidth);
+        const lastBin = Math.min(spectrumDb.length - 1, Math.ceil(high / binWidth) - 1);
+
+        let power = 0;
+        if (lastBin >= firstBin) {
+            for (let i = firstBin; i <= lastBin; i++) {
+                power += binPower(i);
+            }
+        } else {
+            const centerBin = Math.round(center / binWidth);
+            if (centerBin >= spectrumDb.length) {
+                return -Infinity;
+            }
+            power = binPower(centerBin) * (high - low) / binWidth;
+        }
+
+        return power > 0 ? 10 * Math.log10(power) + offset : -Infinity;
+    });
+}
@@ -0,0 +1,72 @@
+/**
+ * Ambient baseline learning and room profiles.
+ *
+ * The baseline is the L90 (level exceeded 90 % of the time) of a learning
+ * period, which tracks steady background noise such as HVAC while ignoring
+ * short activity. Baselines are stored per named room profile.
+ */
+import { createLevelStatistics } from './statistics.js';
+import { loadSetting, saveSetting } from '../storage.js';
+
+const STORAGE_KEY = 'roomProfiles';
+
+export const BASELINE_LEARN_MS = 3 * 60 * 1000;
+export const DEFAULT_ROOM = 'Default room';
+
+/**
+ * Load room profiles
+ * @returns {{active: string, relative: boolean, rooms: Object<string, {baseline: number, learnedAt: number}>}}
+ */
+export function loadRoomProfiles() {
+    const stored = loadSetting(STORAGE_KEY, null);
+    const rooms = stored?.rooms && typeof stored.rooms === 'object' ? stored.rooms : {};
+    if (!rooms[DEFAULT_ROOM]) {
+        rooms[DEFAULT_ROOM] = { baseline: null, learnedAt: null };
+    }
+    const active = rooms[stored?.active] ? stored.active : DEFAULT_ROOM;
+    return { active, relative: Boolean(stored?.relative), rooms };
+}
+
+export function saveRoomProfiles(profiles) {
+    saveSetting(STORAGE_KEY, profiles);
+}
+
+/**
+ * Create a learner that collects levels for `durationMs` and reports their L90
+ * @param {number} durationMs - Learning period
+ * @param {Object} [options]
+ * @param {Function} [options.isMeasuring] - Whether levels come from the real input; others are ignored
+ * @returns {{add: Function, progress: Function, remainingMs: Function, isComplete: Function, result: Function}}
+ */
+export function createBaselineLearner(durationMs = BASELINE_LEARN_MS, { isMeasuring = () => true } = {}) {
+    // Only the session histogram is needed for the L90
+    const statistics = createLevelStatistics({ windowMs: 0 });
+    let learnedMs = 0;
+
+    return {
+        add(level, ms) {
+            if (!Number.isFinite(level) || !(ms > 0) || !isMeasuring()) {
+                return;
+            }
+            statistics.add(level, ms);
+            learnedMs += ms;
+        },
+
+        // Fraction of the learning period completed (0–1)
+        progress() {
+            return Math.min(1, learnedMs / durationMs);
+        },
+
+        remainingMs() {
+            return Math.max(0, durationMs - learnedMs);
+        },
+
+        isComplete() {
+            return learnedMs >= durationMs;
+        },
+
+        result() {
+            return statistics.session().l90;
+        }
+    };
+}
@@ -0,0 +1,83 @@
+/**
+ * Microphone calibration: per-device gain offsets (dB) persisted in storage.
+ *
+ * The offset is added on top of the estimated dBFS → dB SPL mapping. It is
+ * computed as `reference − measured`, where `measured` is the energy average
+ * of the uncalibrated level over a short measurement window and `reference`
+ * is the reading of a real sound level meter (optionally while the app plays
+ * a 1 kHz reference tone).
+ */
+import { loadSetting, saveSetting } from '../storage.js';
+
+const STORAGE_KEY = 'calibrations';
+
+export const CALIBRATION_DURATION_MS = 5000;
+export const REFERENCE_TONE_HZ = 1000;
+export const DEFAULT_DEVICE_ID = 'default';
+
+function loadAll() {
+    const stored = loadSetting(STORAGE_KEY, {});
+    return stored && typeof stored === 'object' ? stored : {};
+}
+
+/**
+ * Get the saved calibration for a device
+ * @param {string} deviceId - MediaDeviceInfo.deviceId
+ * @returns {{offset: number, method: string, weighting: string, savedAt: number}|null}
+ */
+export function getCalibration(deviceId) {
+    const entry = loadAll()[deviceId || DEFAULT_DEVICE_ID];
+    return entry && Number.isFinite(entry.offset) ? entry : null;
+}
+
+/**
+ * Save a calibration for a device
+ * @param {string} deviceId - MediaDeviceInfo.deviceId
+ * @param {{offset: number, method: string, weighting: string}} calibration - Calibration data
+ * @returns {object} The stored entry
+ */
+export function saveCalibration(deviceId, calibration) {
+    const all = loadAll();
+    const entry = { ...calibration, savedAt: Date.now() };
+    all[deviceId || DEFAULT_DEVICE_ID] = entry;
+    saveSetting(STORAGE_KEY, all);
+    return entry;
+}
+
+export function clearCalibration(deviceId) {
+    const all = loadAll();
+    delete all[deviceId || DEFAULT_DEVICE_ID];
+    saveSetting(STORAGE_KEY, all);
+}
+
+/**
+ * Offset that makes the measured level match the reference reading
+ * @param {number} measuredDb - Uncalibrated measured level
+ * @param {number} referenceDb - Reading from the reference meter
+ * @returns {number} Offset in dB
+ */
+export function computeCalibrationOffset(measuredDb, referenceDb) {
+    if (!Number.isFinite(measuredDb) || !Number.isFinite(referenceDb)) {
+        return NaN;
+    }
+    return referenceDb - measuredDb;
+}
+
+/**
+ * Energy (power) average of dB levels
+ * @param {number[]} levels - Levels in dB
+ * @returns {number} Average level in dB, or -Infinity when empty
+ */
+export function energyAverage(levels) {
+    const finite = levels.filter(Number.isFinite);
+    if (!finite.length) {
+        return -Infinity;
+    }
+    const sum = finite.reduce((acc, level) => acc + Math.pow(10, level / 10), 0);
+    return 10 * Math.log10(sum / finite.length);
+}
+
+export function formatOffset(offset) {
+    const rounded = Math.round(offset * 10) / 10;
+    return `${rounded >= 0 ? '+' : '−'}${Math.abs(rounded).toFixed(1)} dB`;
+}
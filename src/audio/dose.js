@@ -0,0 +1,75 @@
+/**
+ * Noise dose and daily exposure (OSHA 29 CFR 1910.95, NIOSH REL, EU 2003/10/EC).
+ *
+ * Dose accumulates `dt / T(L)` where the allowed time at level L is
+ * `T(L) = 8 h / 2^((L − criterion) / exchangeRate)`; levels below the
+ * threshold do not count. The projected TWA extrapolates the dose so far to
+ * a full 8-hour day. LEX,8h is the energy (3 dB) exposure of the measured time
+ * normalized to 8 hours, independent of the selected rule.
+ */
+
+export const REFERENCE_DURATION_MS = 8 * 60 * 60 * 1000;
+
+export const DOSE_STANDARDS = {
+    osha: { label: 'OSHA', criterion: 90, exchangeRate: 5, threshold: 80 },
+    niosh: { label: 'NIOSH', criterion: 85, exchangeRate: 3, threshold: 80 },
+    eu: { label: 'EU 2003/10/EC', criterion: 85, exchangeRate: 3, threshold: null }
+};
+
+export const DEFAULT_DOSE_STANDARD = 'osha';
+
+/**
+ * Create a dose meter
+ * @param {{criterion: number, exchangeRate: number, threshold: ?number}} rule - Dose rule
+ * @returns {{rule: object, setRule: Function, reset: Function, add: Function, summary: Function}}
+ */
+export function createDoseMeter(rule = DOSE_STANDARDS[DEFAULT_DOSE_STANDARD]) {
+    let dose = 0;        // Fraction of the allowed daily dose
+    let energyMs = 0;    // Σ 10^(L/10)·dt for LEX,8h
+    let durationMs = 0;
+
+    return {
+        rule: { ...rule },
+
+        // Changing the rule restarts the dose, since past levels are not kept
+        setRule(nextRule) {
+            this.rule = { ...nextRule };
+            this.reset();
+        },
+
+        reset() {
+            dose = 0;
+            energyMs = 0;
+            durationMs = 0;
+        },
+
+        // Add a level (dB(A)) that lasted `ms`.
+        add(level, ms) {
+            if (!Number.isFinite(level) || !(ms > 0)) {
+                return;
+            }
+
+            durationMs += ms;
+            energyMs += Math.pow(10, level / 10) * ms;
+
+            const { criterion, exchangeRate, threshold } = this.rule;
+            if (threshold != null && level < threshold) {
+                return;
+            }
+            const allowedMs = REFERENCE_DURATION_MS / Math.pow(2, (level - criterion) / exchangeRate);
+            dose += ms / allowedMs;
+        },
+
+        summary() {
+            const { criterion, exchangeRate } = this.rule;
+            const projectedDose = durationMs ? dose * REFERENCE_DURATION_MS / durationMs : 0;
+            return {
+                durationMs,
+                dosePercent: dose * 100,
+                projectedDosePercent: projectedDose * 100,
+                twa: projectedDose > 0 ? criterion + exchangeRate * Math.log2(projectedDose) : -Infinity,
+                lex8h: energyMs > 0 ? 10 * Math.log10(energyMs / REFERENCE_DURATION_MS) : -Infinity
+            };
+        }
+    };
+}
@@ -0,0 +1,169 @@
+/**
+ * Synthetic test signals built from Web Audio nodes: pink noise, white noise,
+ * sine tone and speech-shaped noise. The generator output is fed into the same
+ * analysis graph as the microphone, so weighting, calibration, metering and the
+ * visualizer are exercised end to end.
+ *
+ * Levels are RMS in dBFS: a generator at −20 dBFS reads about 80 dB on an
+ * uncalibrated meter (0 dBFS ≈ 100 dB SPL).
+ */
+
+export const GENERATOR_SIGNALS = {
+    pink: { label: 'Pink noise' },
+    white: { label: 'White noise' },
+    tone: { label: 'Tone' },
+    speech: { label: 'Speech-shaped noise' }
+};
+
+export const DEFAULT_GENERATOR_SETTINGS = { signal: 'pink', levelDbfs: -30, frequency: 1000 };
+
+const NOISE_SECONDS = 4;
+const LEVEL_RAMP_SECONDS = 0.05;
+
+// Speech-shaped noise: pink noise with a low cut near 120 Hz and an extra
+// −6 dB/octave above 800 Hz, approximating the long-term speech spectrum
+const SPEECH_HIGHPASS_HZ = 120;
+const SPEECH_LOWPASS_HZ = 800;
+
+function onePoleCoefficient(cutoff, sampleRate) {
+    return Math.exp(-2 * Math.PI * cutoff / sampleRate);
+}
+
+function normalizeRms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    const scale = 1 / Math.sqrt(sum / samples.length || 1);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] *= scale;
+    }
+    return samples;
+}
+
+/**
+ * Fill a noise buffer of the given colour (RMS normalized to 1, i.e. 0 dBFS)
+ * @param {number} length - Number of samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {'white'|'pink'|'speech'} type - Noise colour
+ * @returns {Float32Array} Noise samples
+ */
+export function generateNoise(length, sampleRate, type) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        samples[i] = Math.random() * 2 - 1;
+    }
+    if (type === 'white') {
+        return normalizeRms(samples);
+    }
+
+    // Pink noise: Paul Kellet's refined filter (−3 dB/octave)
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    for (let i = 0; i < length; i++) {
+        const white = samples[i];
+        b0 = 0.99886 * b0 + white * 0.0555179;
+        b1 = 0.99332 * b1 + white * 0.0750759;
+        b2 = 0.96900 * b2 + white * 0.1538520;
+        b3 = 0.86650 * b3 + white * 0.3104856;
+        b4 = 0.55000 * b4 + white * 0.5329522;
+        b5 = -0.7616 * b5 - white * 0.0168980;
+        samples[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+        b6 = white * 0.115926;
+    }
+
+    if (type === 'speech') {
+        const highpass = onePoleCoefficient(SPEECH_HIGHPASS_HZ, sampleRate);
+        const lowpass = onePoleCoefficient(SPEECH_LOWPASS_HZ, sampleRate);
+        let lowState = 0;
+        let previousInput = 0;
+        let highState = 0;
+        for (let i = 0; i < length; i++) {
+            lowState = (1 - lowpass) * samples[i] + lowpass * lowState;
+            highState = highpass * (highState + lowState - previousInput);
+            previousInput = lowState;
+            samples[i] = highState;
+        }
+    }
+
+    return normalizeRms(samples);
+}
+
+/**
+ * Create a signal generator
+ * @param {BaseAudioContext} audioContext - Audio context
+ * @param {{signal: string, levelDbfs: number, frequency: number}} settings - Initial settings
+ * @returns {{output: GainNode, setSignal: function, setLevel: function, setFrequency: function, stop: function}} Generator
+ */
+export function createGenerator(audioContext, settings = DEFAULT_GENERATOR_SETTINGS) {
+    const output = audioContext.createGain();
+    const noiseBuffers = {};
+    let source = null;
+    let current = { ...DEFAULT_GENERATOR_SETTINGS, ...settings };
+
+    function getNoiseBuffer(type) {
+        if (!noiseBuffers[type]) {
+            const length = Math.round(audioContext.sampleRate * NOISE_SECONDS);
+            const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+            buffer.copyToChannel(generateNoise(length, audioContext.sampleRate, type), 0);
+            noiseBuffers[type] = buffer;
+        }
+        return noiseBuffers[type];
+    }
+
+    // A sine of amplitude 1 has an RMS of −3 dBFS; noise buffers are normalized to 0 dBFS
+    function gainFor(signal, levelDbfs) {
+        return 10 ** (levelDbfs / 20) * (signal === 'tone' ? Math.SQRT2 : 1);
+    }
+
+    function startSource() {
+        if (source) {
+            source.stop();
+            source.disconnect();
+        }
+
+        if (current.signal === 'tone') {
+            source = audioContext.createOscillator();
+            source.type = 'sine';
+            source.frequency.value = current.frequency;
+        } else {
+            source = audioContext.createBufferSource();
+            source.buffer = getNoiseBuffer(current.signal);
+            source.loop = true;
+        }
+        source.connect(output);
+        source.start();
+        output.gain.setValueAtTime(gainFor(current.signal, current.levelDbfs), audioContext.currentTime);
+    }
+
+    startSource();
+
+    return {
+        output,
+
+        setSignal(signal) {
+            if (GENERATOR_SIGNALS[signal] && signal !== current.signal) {
+                current = { ...current, signal };
+                startSource();
+            }
+        },
+
+        setLevel(levelDbfs) {
+            current = { ...current, levelDbfs };
+            output.gain.setTargetAtTime(gainFor(current.signal, levelDbfs), audioContext.currentTime, LEVEL_RAMP_SECONDS);
+        },
+
+        setFrequency(frequency) {
+            current = { ...current, frequency };
+            if (current.signal === 'tone') {
+                source.frequency.setTargetAtTime(frequency, audioContext.currentTime, LEVEL_RAMP_SECONDS);
+            }
+        },
+
+        stop() {
+            source?.stop();
+            source?.disconnect();
+            source = null;
+            output.disconnect();
+        }
+    };
+}
@@ -0,0 +1,53 @@
+/**
+ * Level math on time-domain samples: RMS, sample peak / clipping and dBFS.
+ * DOM-free so it can be shared by the app and tested under Node.
+ */
+
+// Samples at or above this magnitude count as clipped (matches meter-worklet.js)
+export const CLIP_THRESHOLD = 0.999;
+
+/**
+ * Calculate Root Mean Square (RMS) from time-domain samples
+ * @param {Float32Array|number[]} data - Audio samples (-1 to 1)
+ * @returns {number} RMS value
+ */
+export function calculateRMS(data) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) {
+        sum += data[i] * data[i];
+    }
+    return Math.sqrt(sum / data.length);
+}
+
+/**
+ * Find the sample peak and the number of clipped samples
+ * @param {Float32Array|number[]} data - Audio samples (-1 to 1)
+ * @returns {{peak: number, clippedSamples: number}} Linear peak and clip count
+ */
+export function calculatePeak(data) {
+    let peak = 0;
+    let clippedSamples = 0;
+    for (let i = 0; i < data.length; i++) {
+        const magnitude = Math.abs(data[i]);
+        if (magnitude > peak) {
+            peak = magnitude;
+        }
+        if (magnitude >= CLIP_THRESHOLD) {
+            clippedSamples++;
+        }
+    }
+    return { peak, clippedSamples };
+}
+
+/**
+ * Calculate level in dBFS from RMS value (0 dBFS = RMS of 1.0)
+ * @param {number} rms - RMS value of time-domain samples
+ * @param {number} offset - dB offset added to the result (default 0)
+ * @returns {number} Decibel value
+ */
+export function calculateDB(rms, offset = 0) {
+    if (rms > 0) {
+        return 20 * Math.log10(rms) + offset;
+    }
+    return -Infinity;
+}
@@ -0,0 +1,86 @@
+/**
+ * dBwatch level meter AudioWorkletProcessor.
+ *
+ * Input 0 carries the weighted signal used for the level; input 1 (optional)
+ * carries the raw, unweighted signal used for the sample peak, clipping and
+ * zero-crossing rate (voice-activity detection).
+ * Accumulates every render quantum and posts one level frame per `frameMs`
+ * to the main thread: { meanSquare, peak, clippedSamples, zeroCrossingRate, durationMs }.
+ */
+
+const DEFAULT_FRAME_MS = 25;
+
+// Samples at or above this magnitude are counted as clipped (≈ −0.01 dBFS)
+const CLIP_THRESHOLD = 0.999;
+
+class DBwatchMeterProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const frameMs = options?.processorOptions?.frameMs ?? DEFAULT_FRAME_MS;
+        this.frameSamples = Math.max(1, Math.round(sampleRate * frameMs / 1000));
+        this.lastSample = 0; // Carried across frames so no crossing is missed
+        this.resetFrame();
+    }
+
+    resetFrame() {
+        this.sumSquares = 0;
+        this.peak = 0;
+        this.clippedSamples = 0;
+        this.zeroCrossings = 0;
+        this.sampleCount = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || !input.length) {
+            return true;
+        }
+
+        // Mix channels energetically: average the mean square over channels
+        const blockLength = input[0].length;
+        for (const channel of input) {
+            for (let i = 0; i < channel.length; i++) {
+                this.sumSquares += channel[i] * channel[i] / input.length;
+            }
+        }
+
+        // Peak and clipping on the raw input when connected, else on the weighted one
+        const peakInput = inputs[1]?.length ? inputs[1] : input;
+        for (const channel of peakInput) {
+            for (let i = 0; i < channel.length; i++) {
+                const magnitude = Math.abs(channel[i]);
+                if (magnitude > this.peak) {
+                    this.peak = magnitude;
+                }
+                if (magnitude >= CLIP_THRESHOLD) {
+                    this.clippedSamples++;
+                }
+            }
+        }
+
+        // Zero crossings of the first channel
+        const firstChannel = peakInput[0];
+        for (let i = 0; i < firstChannel.length; i++) {
+            if ((this.lastSample >= 0) !== (firstChannel[i] >= 0)) {
+                this.zeroCrossings++;
+            }
+            this.lastSample = firstChannel[i];
+        }
+        this.sampleCount += blockLength;
+
+        if (this.sampleCount >= this.frameSamples) {
+            this.port.postMessage({
+                meanSquare: this.sumSquares / this.sampleCount,
+                peak: this.peak,
+                clippedSamples: this.clippedSamples,
+                zeroCrossingRate: this.zeroCrossings * sampleRate / this.sampleCount,
+                durationMs: this.sampleCount / sampleRate * 1000
+            });
+            this.resetFrame();
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('dBwatch-meter', DBwatchMeterProcessor);
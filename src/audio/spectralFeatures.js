@@ -0,0 +1,77 @@
+/**
+ * Spectral features of the analyser spectrum: dominant frequency, spectral
+ * centroid and spectral flatness (Wiener entropy). Together they help tell
+ * voices (harmonic, centroid in the speech range) from drills and fans
+ * (flat, noise-like) or whistles (single dominant peak, flatness near 0).
+ */
+
+export const EMPTY_FEATURES = Object.freeze({
+    dominantFrequency: NaN,
+    centroid: NaN,
+    flatness: NaN
+});
+
+/**
+ * Compute spectral features from an analyser spectrum
+ * @param {Float32Array} spectrumDb - Spectrum in dB (AnalyserNode.getFloatFrequencyData)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {{minFrequency?: number, maxFrequency?: number}} options - Analysed frequency range
+ * @returns {{dominantFrequency: number, centroid: number, flatness: number}} Features (NaN without signal)
+ */
+export function computeSpectralFeatures(spectrumDb, sampleRate, { minFrequency = 20, maxFrequency = 20000 } = {}) {
+    const binHz = sampleRate / (2 * spectrumDb.length);
+    const first = Math.max(1, Math.ceil(minFrequency / binHz));
+    const last = Math.min(spectrumDb.length - 1, Math.floor(maxFrequency / binHz));
+
+    let totalPower = 0;
+    let weightedFrequency = 0;
+    let logPowerSum = 0;
+    let peakBin = -1;
+    let count = 0;
+
+    for (let i = first; i <= last; i++) {
+        if (!Number.isFinite(spectrumDb[i])) {
+            continue;
+        }
+        const power = 10 ** (spectrumDb[i] / 10);
+        totalPower += power;
+        weightedFrequency += power * i * binHz;
+        logPowerSum += spectrumDb[i] / 10 * Math.LN10;
+        count++;
+        if (peakBin < 0 || spectrumDb[i] > spectrumDb[peakBin]) {
+            peakBin = i;
+        }
+    }
+
+    if (!count || totalPower <= 0) {
+        return { ...EMPTY_FEATURES };
+    }
+
+    // Parabolic interpolation between the peak bin and its neighbours (in dB)
+    const left = spectrumDb[peakBin - 1];
+    const right = spectrumDb[peakBin + 1];
+    const denominator = left - 2 * spectrumDb[peakBin] + right;
+    const shift = Number.isFinite(denominator) && denominator !== 0
+        ? 0.5 * (left - right) / denominator
+        : 0;
+
+    return {
+        dominantFrequency: (peakBin + shift) * binHz,
+        centroid: weightedFrequency / totalPower,
+        flatness: Math.exp(logPowerSum / count) / (totalPower / count)
+    };
+}
+
+/**
+ * Format a frequency for the readout
+ * @param {number} frequency - Frequency in Hz
+ * @returns {string} e.g. "440 Hz", "2.5 kHz" or "--"
+ */
+export function formatHz(frequency) {
+    if (!Number.isFinite(frequency)) {
+        return '--';
+    }
+    return frequency >= 1000
+        ? `${(frequency / 1000).toFixed(1)} kHz`
+        : `${Math.round(frequency)} Hz`;
+}
@@ -0,0 +1,162 @@
+/**
+ * Running acoustic statistics over a session and a sliding window.
+ *
+ * Levels are fed with the time they represent, so Leq is a true
+ * time-weighted energy average and LN is the level exceeded N % of the time.
+ * The session uses a 0.1 dB histogram (constant memory for long sessions);
+ * the sliding window keeps the individual samples (`windowMs: 0` disables it).
+ */
+
+export const DEFAULT_STATS_WINDOW_MS = 60 * 1000;
+export const PERCENTILES = [10, 50, 90];
+
+const HISTOGRAM_MIN_DB = -50;
+const HISTOGRAM_MAX_DB = 200;
+const HISTOGRAM_STEP_DB = 0.1;
+const HISTOGRAM_BINS = Math.round((HISTOGRAM_MAX_DB - HISTOGRAM_MIN_DB) / HISTOGRAM_STEP_DB) + 1;
+
+const emptySummary = () => ({
+    durationMs: 0,
+    leq: NaN,
+    lmax: NaN,
+    lmin: NaN,
+    l10: NaN,
+    l50: NaN,
+    l90: NaN
+});
+
+function toBin(level) {
+    const bin = Math.round((level - HISTOGRAM_MIN_DB) / HISTOGRAM_STEP_DB);
+    return Math.min(HISTOGRAM_BINS - 1, Math.max(0, bin));
+}
+
+function fromBin(bin) {
+    return HISTOGRAM_MIN_DB + bin * HISTOGRAM_STEP_DB;
+}
+
+// Level exceeded `percent` % of the time, from a histogram of durations per bin.
+function histogramPercentile(histogram, totalMs, percent) {
+    const target = totalMs * percent / 100;
+    let accumulated = 0;
+    for (let bin = histogram.length - 1; bin >= 0; bin--) {
+        accumulated += histogram[bin];
+        if (accumulated >= target && histogram[bin] > 0) {
+            return fromBin(bin);
+        }
+    }
+    return NaN;
+}
+
+// Level exceeded `percent` % of the time, from samples sorted loudest first.
+function samplesPercentile(sorted, totalMs, percent) {
+    const target = totalMs * percent / 100;
+    let accumulated = 0;
+    for (const sample of sorted) {
+        accumulated += sample.durationMs;
+        if (accumulated >= target) {
+            return sample.level;
+        }
+    }
+    return sorted.length ? sorted[sorted.length - 1].level : NaN;
+}
+
+/**
+ * Create a statistics engine
+ * @param {{windowMs?: number}} options - Sliding window length (0: session histogram only)
+ * @returns {{windowMs: number, reset: Function, add: Function, session: Function, window: Function}}
+ */
+export function createLevelStatistics({ windowMs = DEFAULT_STATS_WINDOW_MS } = {}) {
+    let histogram = new Float64Array(HISTOGRAM_BINS);
+    let energyMs = 0;
+    let totalMs = 0;
+    let lmax = -Infinity;
+    let lmin = Infinity;
+    let samples = [];
+    let first = 0; // Index of the oldest sample still in the window
+
+    // Move past expired samples; drop them in one go once they are half the array
+    function prune(now) {
+        const cutoff = now - windowMs;
+        while (first < samples.length && samples[first].time < cutoff) {
+            first++;
+        }
+        if (first > samples.length / 2) {
+            samples.splice(0, first);
+            first = 0;
+        }
+    }
+
+    return {
+        windowMs,
+
+        reset() {
+            histogram = new Float64Array(HISTOGRAM_BINS);
+            energyMs = 0;
+            totalMs = 0;
+            lmax = -Infinity;
+            lmin = Infinity;
+            samples = [];
+            first = 0;
+        },
+
+        // Add a level (dB) that lasted `durationMs`, observed at `now`.
+        add(level, durationMs, now = Date.now()) {
+            if (!Number.isFinite(level) || !(durationMs > 0)) {
+                return;
+            }
+
+            histogram[toBin(level)] += durationMs;
+            energyMs += Math.pow(10, level / 10) * durationMs;
+            totalMs += durationMs;
+            lmax = Math.max(lmax, level);
+            lmin = Math.min(lmin, level);
+
+            if (windowMs > 0) {
+                samples.push({ time: now, level, durationMs });
+                prune(now);
+            }
+        },
+
+        session() {
+            if (!totalMs) {
+                return emptySummary();
+            }
+            const summary = {
+                durationMs: totalMs,
+                leq: 10 * Math.log10(energyMs / totalMs),
+                lmax,
+                lmin
+            };
+            PERCENTILES.forEach(percent => {
+                summary[`l${percent}`] = histogramPercentile(histogram, totalMs, percent);
+            });
+            return summary;
+        },
+
+        window(now = Date.now()) {
+            prune(now);
+            const kept = samples.slice(first);
+            if (!kept.length) {
+                return emptySummary();
+            }
+
+            let windowTotal = 0;
+            let windowEnergy = 0;
+            for (const { level, durationMs } of kept) {
+                windowTotal += durationMs;
+                windowEnergy += Math.pow(10, level / 10) * durationMs;
+            }
+            const sorted = kept.sort((a, b) => b.level - a.level);
+            const summary = {
+                durationMs: windowTotal,
+                leq: 10 * Math.log10(windowEnergy / windowTotal),
+                lmax: sorted[0].level,
+                lmin: sorted[sorted.length - 1].level
+            };
+            PERCENTILES.forEach(percent => {
+                summary[`l${percent}`] = samplesPercentile(sorted, windowTotal, percent);
+            });
+            return summary;
+        }
+    };
+}
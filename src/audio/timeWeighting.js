@@ -0,0 +1,52 @@
+/**
+ * Exponential time weighting of the level signal (IEC 61672-1 Fast / Slow,
+ * IEC 60651 Impulse).
+ *
+ * Works on mean-square values so the averaging is energetic; Impulse uses a
+ * short rise and a long decay time constant.
+ */
+
+export const DEFAULT_TIME_WEIGHTING = 'F';
+
+export const TIME_WEIGHTINGS = {
+    F: { label: 'Fast', riseMs: 125, decayMs: 125 },
+    S: { label: 'Slow', riseMs: 1000, decayMs: 1000 },
+    I: { label: 'Impulse', riseMs: 35, decayMs: 1500 }
+};
+
+/**
+ * Create a stateful time-weighting detector
+ * @param {string} mode - 'F', 'S' or 'I'
+ * @returns {{mode: string, setMode: Function, reset: Function, process: Function}}
+ */
+export function createTimeWeighting(mode = DEFAULT_TIME_WEIGHTING) {
+    let weighted = null;
+
+    return {
+        mode: TIME_WEIGHTINGS[mode] ? mode : DEFAULT_TIME_WEIGHTING,
+
+        setMode(nextMode) {
+            this.mode = TIME_WEIGHTINGS[nextMode] ? nextMode : DEFAULT_TIME_WEIGHTING;
+        },
+
+        reset() {
+            weighted = null;
+        },
+
+        // Feed one mean-square value covering `elapsedMs`; returns the weighted mean square.
+        process(meanSquare, elapsedMs) {
+            if (!Number.isFinite(meanSquare) || meanSquare < 0) {
+                return weighted ?? 0;
+            }
+            if (weighted === null || !(elapsedMs > 0)) {
+                weighted = meanSquare;
+                return weighted;
+            }
+
+            const { riseMs, decayMs } = TIME_WEIGHTINGS[this.mode];
+            const tau = meanSquare > weighted ? riseMs : decayMs;
+            weighted += (meanSquare - weighted) * (1 - Math.exp(-elapsedMs / tau));
+            return weighted;
+        }
+    };
+}
@@ -0,0 +1,84 @@
+/**
+ * Transient (onset) detector for bangs, claps and slams.
+ *
+ * Runs on the un-time-weighted level frames of the meter. A slowly tracking
+ * background level follows the room; an event starts when a frame rises
+ * `riseDb` above it and ends when the level falls back within `releaseDb`.
+ * Rises that last longer than `maxDurationMs` are sustained noise, not
+ * transients, and are absorbed into the background instead of reported.
+ */
+
+const DEFAULT_OPTIONS = {
+    riseDb: 10,
+    releaseDb: 4,
+    minLevelDb: 50,
+    maxDurationMs: 1000,
+    backgroundTimeMs: 2000
+};
+
+/**
+ * Create a transient detector
+ * @param {Partial<typeof DEFAULT_OPTIONS>} options - Detection thresholds
+ * @returns {{reset: function, process: function}} Detector
+ */
+export function createTransientDetector(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    let background = NaN;
+    let event = null;
+
+    function track(level, elapsedMs) {
+        if (!Number.isFinite(background)) {
+            background = level;
+            return;
+        }
+        const alpha = 1 - Math.exp(-elapsedMs / settings.backgroundTimeMs);
+        background += alpha * (level - background);
+    }
+
+    return {
+        reset() {
+            background = NaN;
+            event = null;
+        },
+
+        /**
+         * Feed one level frame
+         * @param {number} level - Frame level in dB
+         * @param {number} elapsedMs - Frame duration
+         * @param {number} now - Wall-clock time (Date.now())
+         * @returns {{timestamp: number, peakDb: number, durationMs: number}|null} Completed event, if any
+         */
+        process(level, elapsedMs, now = Date.now()) {
+            if (!Number.isFinite(level)) {
+                return null;
+            }
+
+            if (event) {
+                if (level < background + settings.releaseDb) {
+                    const completed = event;
+                    event = null;
+                    track(level, elapsedMs);
+                    return completed;
+                }
+
+                event.durationMs += elapsedMs;
+                event.peakDb = Math.max(event.peakDb, level);
+                if (event.durationMs > settings.maxDurationMs) {
+                    // Sustained noise: let the background catch up
+                    event = null;
+                    background = level;
+                }
+                return null;
+            }
+
+            if (Number.isFinite(background) && level >= settings.minLevelDb
+                && level >= background + settings.riseDb) {
+                event = { timestamp: now, peakDb: level, durationMs: elapsedMs };
+                return null;
+            }
+
+            track(level, elapsedMs);
+            return null;
+        }
+    };
+}
@@ -0,0 +1,110 @@
+/**
+ * Lightweight, fully local voice-activity detection.
+ *
+ * Each analysis frame is classified from three cheap features:
+ * - share of spectral power in the speech band (300–3400 Hz)
+ * - spectral flatness (speech is harmonic, scraping and fans are noise-like)
+ * - zero-crossing rate of the raw signal (voiced speech sits in a mid range;
+ *   hiss and clicks cross far more often, rumble far less)
+ * A hangover keeps short pauses between syllables tagged as speech.
+ */
+
+export const SPEECH_BAND = Object.freeze({ low: 300, high: 3400 });
+export const VAD_FRAME_MS = 100;
+
+const DEFAULT_OPTIONS = {
+    minSpeechRatio: 0.5,
+    maxFlatness: 0.3,
+    minZeroCrossingRate: 150,  // crossings per second
+    maxZeroCrossingRate: 4000,
+    minLevelDb: 35,
+    hangoverMs: 300
+};
+
+/**
+ * Share of spectral power inside the speech band
+ * @param {Float32Array} spectrumDb - Spectrum in dB (AnalyserNode.getFloatFrequencyData)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {{low: number, high: number}} band - Speech band in Hz
+ * @returns {number} Ratio 0–1 (NaN without signal)
+ */
+export function speechBandRatio(spectrumDb, sampleRate, band = SPEECH_BAND) {
+    const binHz = sampleRate / (2 * spectrumDb.length);
+    let total = 0;
+    let inBand = 0;
+
+    for (let i = 1; i < spectrumDb.length; i++) {
+        if (!Number.isFinite(spectrumDb[i])) {
+            continue;
+        }
+        const power = 10 ** (spectrumDb[i] / 10);
+        const frequency = i * binHz;
+        total += power;
+        if (frequency >= band.low && frequency <= band.high) {
+            inBand += power;
+        }
+    }
+
+    return total > 0 ? inBand / total : NaN;
+}
+
+/**
+ * Zero-crossing rate of a block of samples
+ * @param {Float32Array} samples - Time-domain samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} Zero crossings per second
+ */
+export function zeroCrossingRate(samples, sampleRate) {
+    let crossings = 0;
+    for (let i = 1; i < samples.length; i++) {
+        if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) {
+            crossings++;
+        }
+    }
+    return samples.length > 1 ? crossings * sampleRate / (samples.length - 1) : 0;
+}
+
+/**
+ * Create a voice-activity detector
+ * @param {Partial<typeof DEFAULT_OPTIONS>} options - Decision thresholds
+ * @returns {{reset: function, process: function, isSpeech: function}} Detector
+ */
+export function createVoiceActivityDetector(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    let hangoverLeft = 0;
+    let speech = false;
+
+    return {
+        reset() {
+            hangoverLeft = 0;
+            speech = false;
+        },
+
+        /**
+         * Classify one analysis frame
+         * @param {{speechRatio: number, flatness: number, zeroCrossingRate: number, level: number}} features - Frame features
+         * @param {number} elapsedMs - Frame duration
+         * @returns {boolean} True while speech is detected
+         */
+        process({ speechRatio, flatness, zeroCrossingRate: zcr, level }, elapsedMs) {
+            const voiced = level >= settings.minLevelDb
+                && speechRatio >= settings.minSpeechRatio
+                && flatness <= settings.maxFlatness
+                && zcr >= settings.minZeroCrossingRate
+                && zcr <= settings.maxZeroCrossingRate;
+
+            if (voiced) {
+                hangoverLeft = settings.hangoverMs;
+                speech = true;
+            } else {
+                hangoverLeft -= elapsedMs;
+                speech = hangoverLeft > 0;
+            }
+            return speech;
+        },
+
+        isSpeech() {
+            return speech;
+        }
+    };
+}
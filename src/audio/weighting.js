@@ -0,0 +1,120 @@
+/**
+ * Frequency weighting filters (A, C, Z) per IEC 61672-1.
+ *
+ * The analog weighting curves are split into second-order sections, each
+ * converted with a pre-warped bilinear transform, and normalized to 0 dB at
+ * 1 kHz. Sections are realized as Web Audio IIRFilterNodes so they can sit in
+ * the audio chain in front of the level meter.
+ */
+
+export const DEFAULT_WEIGHTING = 'A';
+
+export const WEIGHTINGS = {
+    A: { label: 'A', suffix: '(A)' },
+    C: { label: 'C', suffix: '(C)' },
+    Z: { label: 'Z', suffix: '(Z)' }
+};
+
+// Pole frequencies (Hz) from IEC 61672-1 Annex E.
+const F1 = 20.598997;
+const F2 = 107.65265;
+const F3 = 737.86223;
+const F4 = 12194.217;
+
+const NORMALIZATION_FREQUENCY = 1000;
+
+function prewarp(frequency, sampleRate) {
+    return 2 * sampleRate * Math.tan(Math.PI * frequency / sampleRate);
+}
+
+// Bilinear transform of H(s) = (b2·s² + b1·s + b0) / (a2·s² + a1·s + a0).
+function bilinear([b2, b1, b0], [a2, a1, a0], sampleRate) {
+    const k = 2 * sampleRate;
+    const k2 = k * k;
+    const num = [b2 * k2 + b1 * k + b0, 2 * (b0 - b2 * k2), b2 * k2 - b1 * k + b0];
+    const den = [a2 * k2 + a1 * k + a0, 2 * (a0 - a2 * k2), a2 * k2 - a1 * k + a0];
+    return {
+        feedforward: num.map(value => value / den[0]),
+        feedback: den.map(value => value / den[0])
+    };
+}
+
+// s² / ((s + wa)(s + wb))
+function highPassPair(fa, fb, sampleRate) {
+    const wa = prewarp(fa, sampleRate);
+    const wb = prewarp(fb, sampleRate);
+    return bilinear([1, 0, 0], [1, wa + wb, wa * wb], sampleRate);
+}
+
+// w² / (s + w)²
+function lowPassPair(f, sampleRate) {
+    const w = prewarp(f, sampleRate);
+    return bilinear([0, 0, w * w], [1, 2 * w, w * w], sampleRate);
+}
+
+function polynomialMagnitude(coefficients, omega) {
+    let re = 0;
+    let im = 0;
+    coefficients.forEach((value, k) => {
+        re += value * Math.cos(k * omega);
+        im -= value * Math.sin(k * omega);
+    });
+    return Math.hypot(re, im);
+}
+
+/**
+ * Linear magnitude response of a cascade of second-order sections
+ * @param {{feedforward: number[], feedback: number[]}[]} sections - Filter sections
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number} Linear gain
+ */
+export function sectionsMagnitude(sections, frequency, sampleRate) {
+    const omega = 2 * Math.PI * frequency / sampleRate;
+    return sections.reduce((gain, { feedforward, feedback }) => (
+        gain * polynomialMagnitude(feedforward, omega) / polynomialMagnitude(feedback, omega)
+    ), 1);
+}
+
+/**
+ * Design the digital filter sections for a frequency weighting
+ * @param {string} weighting - 'A', 'C' or 'Z'
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{feedforward: number[], feedback: number[]}[]} Sections (empty for Z)
+ */
+export function designWeightingSections(weighting, sampleRate) {
+    let sections;
+    switch (weighting) {
+        case 'A':
+            sections = [
+                highPassPair(F1, F1, sampleRate),
+                highPassPair(F2, F3, sampleRate),
+                lowPassPair(F4, sampleRate)
+            ];
+            break;
+        case 'C':
+            sections = [
+                highPassPair(F1, F1, sampleRate),
+                lowPassPair(F4, sampleRate)
+            ];
+            break;
+        default:
+            return [];
+    }
+
+    // Normalize to 0 dB at 1 kHz
+    const gain = sectionsMagnitude(sections, NORMALIZATION_FREQUENCY, sampleRate);
+    sections[0].feedforward = sections[0].feedforward.map(value => value / gain);
+    return sections;
+}
+
+/**
+ * Create the IIR filter nodes that implement a frequency weighting
+ * @param {BaseAudioContext} audioContext - Audio context
+ * @param {string} weighting - 'A', 'C' or 'Z'
+ * @returns {IIRFilterNode[]} Unconnected filter nodes, in cascade order
+ */
+export function createWeightingFilters(audioContext, weighting) {
+    return designWeightingSections(weighting, audioContext.sampleRate)
+        .map(({ feedforward, feedback }) => audioContext.createIIRFilter(feedforward, feedback));
+}
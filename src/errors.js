@@ -0,0 +1,22 @@
+/**
+ * User-facing messages for audio capture errors (DOMException names from
+ * getUserMedia / Web Audio). DOM-free so it can be tested under Node.
+ */
+
+const ERROR_MESSAGES = {
+    NotAllowedError: 'Microphone permission denied. Please allow access.',
+    NotFoundError: 'No microphone found on this device.',
+    NotReadableError: 'Microphone is in use by another app.',
+    SecurityError: 'Security error. Try serving over HTTPS or localhost.',
+    AbortError: 'Microphone access was aborted.',
+    OverconstrainedError: 'Microphone constraints cannot be satisfied.'
+};
+
+/**
+ * Get user-friendly error message based on error type
+ * @param {Error} error - The error object
+ * @returns {string} User-friendly error message
+ */
+export function getErrorMessage(error) {
+    return ERROR_MESSAGES[error?.name] || `Error: ${error?.message ?? error}`;
+}
@@ -0,0 +1,214 @@
+/**
+ * Scripted sim-mode scenarios: JSON timelines of dB levels that sim mode plays
+ * back (optionally looped, at adjustable speed) instead of the manual slider.
+ *
+ * Scenario format:
+ * {
+ *   "name": "Escalating noise",
+ *   "loop": true,
+ *   "steps": [
+ *     { "db": 60, "seconds": 5 },              // hold a level
+ *     { "to": 80, "seconds": 15 },             // ramp from the previous level
+ *     { "from": 95, "to": 70, "seconds": 4 }   // ramp between explicit levels
+ *   ]
+ * }
+ */
+import { getThresholds } from './animations/model.js';
+import { loadSetting, saveSetting } from './storage.js';
+
+const STORAGE_KEY = 'simScenarios';
+
+export const SCENARIO_SPEEDS = [0.5, 1, 2, 4];
+
+const FIXED_SCENARIOS = [
+    {
+        id: 'quiet-lesson',
+        name: 'Quiet lesson',
+        loop: true,
+        steps: [
+            { db: 55, seconds: 20 },
+            { to: 68, seconds: 5 },
+            { db: 68, seconds: 10 },
+            { to: 78, seconds: 3 },
+            { db: 78, seconds: 8 },
+            { to: 60, seconds: 4 },
+            { db: 60, seconds: 15 }
+        ]
+    },
+    {
+        id: 'escalating-noise',
+        name: 'Escalating noise',
+        loop: true,
+        steps: [
+            { db: 60, seconds: 5 },
+            { to: 80, seconds: 15 },
+            { db: 80, seconds: 5 },
+            { to: 95, seconds: 10 },
+            { db: 95, seconds: 5 },
+            { to: 60, seconds: 5 }
+        ]
+    }
+];
+
+/**
+ * Built-in scenarios. "Sustained loud to SF" follows the active thresholds:
+ * it holds the loudest state past the SF timeout, then drops to the state
+ * below it to show the SF exit. The SF timeout runs on real time, so the hold
+ * is stretched to outlast it at the fastest playback speed.
+ * @returns {object[]} Scenario sources
+ */
+export function getBuiltinScenarios() {
+    const { levels, sfTimeoutMs } = getThresholds();
+    const bounds = Object.values(levels);
+    const top = bounds[bounds.length - 1] ?? 90;
+    const below = bounds[bounds.length - 2] ?? top - 15;
+    const quiet = Math.max(0, below - 10);
+    const loud = top + 5;
+    const moderate = (below + top) / 2;
+    const holdSeconds = (sfTimeoutMs / 1000 + 5) * Math.max(...SCENARIO_SPEEDS);
+    return [
+        ...FIXED_SCENARIOS,
+        {
+            id: 'sustained-loud-to-sf',
+            name: 'Sustained loud to SF',
+            loop: false,
+            steps: [
+                { db: quiet, seconds: 3 },
+                { to: loud, seconds: 3 },
+                { db: loud, seconds: holdSeconds },
+                { to: moderate, seconds: 2 },
+                { db: moderate, seconds: 6 },
+                { to: quiet, seconds: 3 },
+                { db: quiet, seconds: 5 }
+            ]
+        }
+    ];
+}
+
+/**
+ * Validate a scenario and normalize its steps to ramps
+ * @param {object|string} source - Scenario object or JSON text
+ * @returns {{id: string, name: string, loop: boolean, steps: {from: number, to: number, durationMs: number}[], durationMs: number}}
+ * @throws {Error} When the scenario is malformed
+ */
+export function parseScenario(source) {
+    const scenario = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!scenario || !Array.isArray(scenario.steps) || !scenario.steps.length) {
+        throw new Error('Scenario needs a non-empty "steps" array');
+    }
+
+    let previous = null;
+    const steps = scenario.steps.map((step, index) => {
+        const durationMs = Number(step?.seconds) * 1000;
+        if (!Number.isFinite(durationMs) || durationMs <= 0) {
+            throw new Error(`Scenario step ${index + 1}: "seconds" must be a positive number`);
+        }
+
+        const from = step.db ?? step.from ?? previous;
+        const to = step.db ?? step.to;
+        if (!Number.isFinite(from) || !Number.isFinite(to)) {
+            throw new Error(`Scenario step ${index + 1}: needs "db", or "to" (and "from" on the first step)`);
+        }
+
+        previous = to;
+        return { from, to, durationMs };
+    });
+
+    const name = typeof scenario.name === 'string' && scenario.name.trim() ? scenario.name.trim() : 'Custom scenario';
+    return {
+        id: scenario.id ?? `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+        name,
+        loop: scenario.loop !== false,
+        steps,
+        durationMs: steps.reduce((total, step) => total + step.durationMs, 0)
+    };
+}
+
+/**
+ * Level of a parsed scenario at a point in its timeline
+ * @param {ReturnType<typeof parseScenario>} scenario - Parsed scenario
+ * @param {number} timeMs - Time from the start (clamped to the scenario length)
+ * @returns {number} Level in dB
+ */
+export function scenarioLevelAt(scenario, timeMs) {
+    let remaining = Math.max(0, timeMs);
+    for (const { from, to, durationMs } of scenario.steps) {
+        if (remaining < durationMs) {
+            return from + (to - from) * (remaining / durationMs);
+        }
+        remaining -= durationMs;
+    }
+    return scenario.steps[scenario.steps.length - 1].to;
+}
+
+/**
+ * Create a player that advances through a scenario in (scaled) real time
+ * @param {ReturnType<typeof parseScenario>} scenario - Parsed scenario
+ * @param {{speed?: number, loop?: boolean}} options - Playback speed and looping
+ * @returns {object} Player with advance(), restart(), isFinished(), progress()
+ */
+export function createScenarioPlayer(scenario, { speed = 1, loop = scenario.loop } = {}) {
+    let elapsedMs = 0;
+
+    return {
+        scenario,
+        speed,
+        loop,
+
+        restart() {
+            elapsedMs = 0;
+        },
+
+        /**
+         * Advance playback and return the current level
+         * @param {number} realMs - Real time since the last call
+         * @returns {number} Level in dB
+         */
+        advance(realMs) {
+            elapsedMs += realMs * this.speed;
+            if (elapsedMs >= scenario.durationMs) {
+                elapsedMs = this.loop ? elapsedMs % scenario.durationMs : scenario.durationMs;
+            }
+            return scenarioLevelAt(scenario, elapsedMs);
+        },
+
+        isFinished() {
+            return !this.loop && elapsedMs >= scenario.durationMs;
+        },
+
+        progress() {
+            return { elapsedMs, durationMs: scenario.durationMs };
+        }
+    };
+}
+
+/**
+ * Validate a scenario loaded from a file and give it its id for the custom list.
+ * Ids of built-in scenarios get a `custom-` prefix so imports never hide them.
+ * @param {object} source - Scenario object
+ * @returns {object} Scenario source with its final `id`
+ * @throws {Error} When the scenario is malformed
+ */
+export function importCustomScenario(source) {
+    const { id } = parseScenario(source);
+    const builtinIds = getBuiltinScenarios().map(scenario => scenario.id);
+    return { ...source, id: builtinIds.includes(id) ? `custom-${id}` : id };
+}
+
+export function loadCustomScenarios() {
+    const stored = loadSetting(STORAGE_KEY, []);
+    if (!Array.isArray(stored)) {
+        return [];
+    }
+    return stored.flatMap(scenario => {
+        try {
+            return [importCustomScenario(scenario)];
+        } catch {
+            return [];
+        }
+    });
+}
+
+export function saveCustomScenarios(scenarios) {
+    saveSetting(STORAGE_KEY, scenarios);
+}
@@ -0,0 +1,35 @@
+/**
+ * Small wrapper around localStorage for persisted user settings.
+ * Values are stored as JSON under a `dbwatch.` prefix; storage failures
+ * (private mode, quota, disabled storage) fall back to defaults.
+ */
+
+const STORAGE_PREFIX = 'dbwatch.';
+
+export function loadSetting(key, fallback = null) {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+        console.warn(`[storage] Failed to load "${key}"`, error);
+        return fallback;
+    }
+}
+
+export function saveSetting(key, value) {
+    try {
+        window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.warn(`[storage] Failed to save "${key}"`, error);
+        return false;
+    }
+}
+
+export function removeSetting(key) {
+    try {
+        window.localStorage.removeItem(STORAGE_PREFIX + key);
+    } catch (error) {
+        console.warn(`[storage] Failed to remove "${key}"`, error);
+    }
+}
@@ -3,27 +3,44 @@
  * Handles caching, offline functionality, and update management
  */
 
-const CACHE_VERSION = 'v2.1';
+const CACHE_VERSION = 'v2.36';
 const CACHE_NAME = `dbwatch-${CACHE_VERSION}`;
 
+// Animation manifest: its state and transition clips are cached on install
+const ANIMATION_MANIFEST = './media/animations.json';
+
 // Assets to cache on install (paths relative to root where sw.js now lives)
 const STATIC_ASSETS = [
     './',
     './index.html',
     './src/styles.css',
     './src/app.js',
+    // App modules: an uncached import breaks starting offline
+    './src/animations/bootstrap.js',
+    './src/animations/controller.js',
+    './src/animations/model.js',
+    './src/audio/bandReject.js',
+    './src/audio/bands.js',
+    './src/audio/baseline.js',
+    './src/audio/calibration.js',
+    './src/audio/dose.js',
+    './src/audio/generator.js',
+    './src/audio/levels.js',
+    './src/audio/meter-worklet.js',
+    './src/audio/spectralFeatures.js',
+    './src/audio/statistics.js',
+    './src/audio/timeWeighting.js',
+    './src/audio/transients.js',
+    './src/audio/vad.js',
+    './src/audio/weighting.js',
+    './src/dotlottie-web.js',
+    './src/errors.js',
+    './src/scenarios.js',
+    './src/storage.js',
     './manifest.json',
-    // Media assets (static background only - animations handle visual states)
+    // Media assets (animation clips are listed in the animation manifest)
     './media/background_image_0.png',
-    './media/state_1.json',
-    './media/state_2.json',
-    './media/state_3.json',
-    './media/state_4.json',
-    './media/state_5.json',
-    './media/transition_1_2.json',
-    './media/transition_2_3.json',
-    './media/transition_3_4.json',
-    './media/transition_4_5.json',
+    ANIMATION_MANIFEST,
     // Icons
     './icons/icon-48x48.png',
     './icons/icon-72x72.png',
@@ -47,7 +64,8 @@ self.addEventListener('install', (event) => {
         caches.open(CACHE_NAME)
             .then((cache) => {
                 console.log('[SW] Caching static assets...');
-                return cache.addAll(STATIC_ASSETS);
+                return cache.addAll(STATIC_ASSETS)
+                    .then(() => cacheAnimationClips(cache));
             })
             .then(() => {
                 console.log('[SW] Static assets cached successfully');
@@ -60,6 +78,20 @@ self.addEventListener('install', (event) => {
     );
 });
 
+/**
+ * Cache every clip referenced by the (already cached) animation manifest
+ */
+function cacheAnimationClips(cache) {
+    return cache.match(ANIMATION_MANIFEST)
+        .then((response) => response.json())
+        .then((manifest) => {
+            const entries = [...manifest.states, ...(manifest.transitions || []), manifest.final];
+            const clips = entries.filter((entry) => entry && entry.file).map((entry) => entry.file);
+            console.log('[SW] Caching animation clips:', clips.length);
+            return cache.addAll([...new Set(clips)]);
+        });
+}
+
 // ===========================================
 // Activate Event - Clean Up Old Caches
 // ===========================================
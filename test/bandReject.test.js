@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SUGGESTED_BAND_Q,
+    bandEdges,
+    checkExcludedBand,
+    createBandRejectFilters,
+    detectStationaryTones,
+    overlapsExcludedBand
+} from '../src/audio/bandReject.js';
+
+const SAMPLE_RATE = 48000;
+const BIN_COUNT = 1024; // fftSize 2048: 23.4 Hz bins
+
+// Spectra with a steady peak at `bin` over a flat floor
+function toneFrames(bin, { count = 10, floorDb = -100, peakDb = -40 } = {}) {
+    return Array.from({ length: count }, () => {
+        const frame = new Float32Array(BIN_COUNT).fill(floorDb);
+        frame[bin - 1] = peakDb - 20;
+        frame[bin] = peakDb;
+        frame[bin + 1] = peakDb - 15;
+        return frame;
+    });
+}
+
+test('a detected mains hum can be excluded', () => {
+    const [hum] = detectStationaryTones(toneFrames(2), SAMPLE_RATE);
+    assert.ok(hum.center > 45 && hum.center < 55, `center ${hum.center}`);
+    assert.ok(hum.width < 10, `width ${hum.width}`);
+    assert.doesNotThrow(() => checkExcludedBand(hum));
+});
+
+test('suggested widths follow the tone frequency', () => {
+    const [tone] = detectStationaryTones(toneFrames(100), SAMPLE_RATE);
+    assert.equal(tone.width, Math.round(tone.center / SUGGESTED_BAND_Q));
+    assert.doesNotThrow(() => checkExcludedBand(tone));
+});
+
+test('fluctuating or weak peaks are not suggested', () => {
+    const frames = toneFrames(100);
+    frames.forEach((frame, index) => { frame[100] = index % 2 ? -40 : -60; });
+    assert.deepEqual(detectStationaryTones(frames, SAMPLE_RATE), []);
+    assert.deepEqual(detectStationaryTones(toneFrames(100, { peakDb: -95 }), SAMPLE_RATE), []);
+    assert.deepEqual(detectStationaryTones([], SAMPLE_RATE), []);
+});
+
+test('checkExcludedBand rejects bands outside 20 Hz–20 kHz or wider than their center', () => {
+    assert.throws(() => checkExcludedBand({ center: 10, width: 2 }));
+    assert.throws(() => checkExcludedBand({ center: 25000, width: 100 }));
+    assert.throws(() => checkExcludedBand({ center: 50, width: 70 }));
+    assert.throws(() => checkExcludedBand({ center: 50, width: 0 }));
+});
+
+test('band edges and overlap', () => {
+    assert.deepEqual(bandEdges({ center: 50, width: 6 }), { low: 47, high: 53 });
+    assert.equal(overlapsExcludedBand(45, 48, [{ center: 50, width: 6 }]), true);
+    assert.equal(overlapsExcludedBand(53, 60, [{ center: 50, width: 6 }]), false);
+});
+
+test('each band becomes two notch stages with Q = center / width', () => {
+    const created = [];
+    const context = {
+        sampleRate: SAMPLE_RATE,
+        createBiquadFilter() {
+            const filter = { frequency: { value: 0 }, Q: { value: 0 } };
+            created.push(filter);
+            return filter;
+        }
+    };
+    const filters = createBandRejectFilters(context, [{ center: 60, width: 6 }, { center: 30000, width: 10 }]);
+    assert.equal(filters.length, 2);
+    assert.deepEqual(filters.map(({ type, frequency, Q }) => [type, frequency.value, Q.value]), [
+        ['notch', 60, 10],
+        ['notch', 60, 10]
+    ]);
+});
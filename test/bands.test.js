@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeBandLevels, createBands, formatFrequency } from '../src/audio/bands.js';
+import { assertNear } from './helpers.js';
+
+const SAMPLE_RATE = 48000;
+const BINS = 1024;
+
+test('octave and third-octave layouts span 31.5 Hz to 16 kHz', () => {
+    const octaves = createBands(1);
+    const thirds = createBands(3);
+    assert.equal(octaves.length, 10);
+    assert.equal(thirds.length, 28);
+    assert.deepEqual([octaves[0].label, octaves.at(-1).label], ['31.5', '16k']);
+    assert.deepEqual(thirds.slice(14, 17).map(({ label }) => label), ['800', '1k', '1.25k']);
+});
+
+test('adjacent bands share their edges', () => {
+    const thirds = createBands(3);
+    for (let i = 1; i < thirds.length; i++) {
+        assertNear(thirds[i].low, thirds[i - 1].high, 1e-6);
+    }
+});
+
+test('band levels sum the energy of the bins inside each band', () => {
+    const spectrum = new Float32Array(BINS).fill(-Infinity);
+    const octaves = createBands(1);
+    const kHzBand = octaves.findIndex(({ label }) => label === '1k');
+    const binHz = SAMPLE_RATE / (2 * BINS);
+    spectrum[Math.round(900 / binHz)] = -20;
+    spectrum[Math.round(1100 / binHz)] = -20;
+
+    const levels = computeBandLevels(spectrum, SAMPLE_RATE, octaves, 100);
+    assertNear(levels[kHzBand], 80 + 10 * Math.log10(2));
+    assert.equal(levels[kHzBand - 1], -Infinity);
+});
+
+test('formatFrequency uses k above 1 kHz', () => {
+    assert.equal(formatFrequency(31.5), '31.5');
+    assert.equal(formatFrequency(12500), '12.5k');
+});
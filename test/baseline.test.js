@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBaselineLearner } from '../src/audio/baseline.js';
+import { createLevelStatistics } from '../src/audio/statistics.js';
+
+test('the baseline is the L90 of the learning period', () => {
+    const learner = createBaselineLearner(10000);
+    for (let i = 0; i < 90; i++) {
+        learner.add(40, 100);
+    }
+    for (let i = 0; i < 10; i++) {
+        learner.add(80, 100);
+    }
+    assert.equal(learner.isComplete(), true);
+    assert.equal(learner.progress(), 1);
+    assert.ok(Math.abs(learner.result() - 40) < 0.05);
+});
+
+test('learning progress ignores invalid levels', () => {
+    const learner = createBaselineLearner(1000);
+    learner.add(NaN, 500);
+    learner.add(50, 0);
+    learner.add(50, 250);
+    assert.equal(learner.progress(), 0.25);
+    assert.equal(learner.remainingMs(), 750);
+    assert.equal(learner.isComplete(), false);
+});
+
+test('learning pauses while the levels are not measured', () => {
+    let simulated = false;
+    const learner = createBaselineLearner(1000, { isMeasuring: () => !simulated });
+    learner.add(40, 250);
+    simulated = true;
+    learner.add(90, 500);
+    assert.equal(learner.progress(), 0.25);
+    simulated = false;
+    learner.add(40, 750);
+    assert.equal(learner.isComplete(), true);
+    assert.ok(Math.abs(learner.result() - 40) < 0.05);
+});
+
+test('statistics without a window keep only the session histogram', () => {
+    const statistics = createLevelStatistics({ windowMs: 0 });
+    statistics.add(60, 1000, 0);
+    assert.equal(statistics.session().durationMs, 1000);
+    assert.equal(statistics.window(0).durationMs, 0);
+});
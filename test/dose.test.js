@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOSE_STANDARDS, REFERENCE_DURATION_MS, createDoseMeter } from '../src/audio/dose.js';
+import { assertNear } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('8 h at the OSHA criterion level is a 100 % dose and a 90 dB TWA', () => {
+    const meter = createDoseMeter(DOSE_STANDARDS.osha);
+    meter.add(90, REFERENCE_DURATION_MS);
+    const summary = meter.summary();
+    assertNear(summary.dosePercent, 100);
+    assertNear(summary.twa, 90);
+    assertNear(summary.lex8h, 90);
+});
+
+test('the exchange rate halves the allowed time', () => {
+    const osha = createDoseMeter(DOSE_STANDARDS.osha);
+    osha.add(95, 4 * HOUR_MS);
+    assertNear(osha.summary().dosePercent, 100);
+
+    const niosh = createDoseMeter(DOSE_STANDARDS.niosh);
+    niosh.add(88, 4 * HOUR_MS);
+    assertNear(niosh.summary().dosePercent, 100);
+});
+
+test('the dose projects to a full day', () => {
+    const meter = createDoseMeter(DOSE_STANDARDS.osha);
+    meter.add(90, HOUR_MS);
+    const summary = meter.summary();
+    assertNear(summary.dosePercent, 12.5);
+    assertNear(summary.projectedDosePercent, 100);
+    assertNear(summary.twa, 90);
+});
+
+test('levels below the threshold add no dose but count for LEX,8h', () => {
+    const osha = createDoseMeter(DOSE_STANDARDS.osha);
+    osha.add(75, REFERENCE_DURATION_MS);
+    assert.equal(osha.summary().dosePercent, 0);
+    assert.equal(osha.summary().twa, -Infinity);
+    assertNear(osha.summary().lex8h, 75);
+
+    const eu = createDoseMeter(DOSE_STANDARDS.eu);
+    eu.add(75, REFERENCE_DURATION_MS);
+    assert.ok(eu.summary().dosePercent > 0);
+});
+
+test('changing the rule restarts the dose', () => {
+    const meter = createDoseMeter(DOSE_STANDARDS.osha);
+    meter.add(90, HOUR_MS);
+    meter.setRule(DOSE_STANDARDS.niosh);
+    assert.equal(meter.summary().durationMs, 0);
+});
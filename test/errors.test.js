@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getErrorMessage } from '../src/errors.js';
+
+function domError(name, message = '') {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+test('getErrorMessage explains known capture errors', () => {
+    assert.equal(getErrorMessage(domError('NotAllowedError')), 'Microphone permission denied. Please allow access.');
+    assert.equal(getErrorMessage(domError('NotFoundError')), 'No microphone found on this device.');
+    assert.equal(getErrorMessage(domError('NotReadableError')), 'Microphone is in use by another app.');
+    assert.equal(getErrorMessage(domError('OverconstrainedError')), 'Microphone constraints cannot be satisfied.');
+});
+
+test('getErrorMessage falls back to the error message', () => {
+    assert.equal(getErrorMessage(new TypeError('boom')), 'Error: boom');
+});
@@ -0,0 +1,15 @@
+import assert from 'node:assert/strict';
+
+/**
+ * Assert that a number is within `tolerance` of the expected value
+ * @param {number} actual - Measured value
+ * @param {number} expected - Expected value
+ * @param {number} tolerance - Allowed absolute difference
+ * @param {string} label - Prefix for the failure message
+ */
+export function assertNear(actual, expected, tolerance = 1e-9, label = '') {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        `${label ? `${label}: ` : ''}${actual} is not within ${tolerance} of ${expected}`
+    );
+}
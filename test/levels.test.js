@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CLIP_THRESHOLD, calculateDB, calculatePeak, calculateRMS } from '../src/audio/levels.js';
+
+function sine(amplitude, length = 4800, period = 48) {
+    return Float32Array.from({ length }, (_, i) => amplitude * Math.sin(2 * Math.PI * i / period));
+}
+
+test('calculateRMS of a constant signal is its magnitude', () => {
+    assert.equal(calculateRMS([0.5, -0.5, 0.5, -0.5]), 0.5);
+    assert.equal(calculateRMS(new Float32Array(128)), 0);
+});
+
+test('calculateRMS of a full-scale sine is 1/√2', () => {
+    assert.ok(Math.abs(calculateRMS(sine(1)) - Math.SQRT1_2) < 1e-6);
+});
+
+test('calculateDB maps RMS to dBFS', () => {
+    assert.equal(calculateDB(1), 0);
+    assert.ok(Math.abs(calculateDB(0.5) - -6.0206) < 1e-4);
+    assert.ok(Math.abs(calculateDB(0.1) - -20) < 1e-9);
+});
+
+test('calculateDB adds the offset', () => {
+    assert.ok(Math.abs(calculateDB(0.1, 100) - 80) < 1e-9);
+});
+
+test('calculateDB of silence is -Infinity', () => {
+    assert.equal(calculateDB(0), -Infinity);
+    assert.equal(calculateDB(0, 100), -Infinity);
+    assert.equal(calculateDB(-1), -Infinity);
+});
+
+test('calculatePeak finds the largest magnitude', () => {
+    assert.deepEqual(calculatePeak([0.1, -0.6, 0.3]), { peak: 0.6, clippedSamples: 0 });
+});
+
+test('calculatePeak counts samples at full scale as clipped', () => {
+    const { peak, clippedSamples } = calculatePeak([1, -1, CLIP_THRESHOLD, 0.5]);
+    assert.equal(peak, 1);
+    assert.equal(clippedSamples, 3);
+});
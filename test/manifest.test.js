@@ -0,0 +1,188 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    DEFAULT_ANIMATION_MANIFEST,
+    STATE_SEQUENCE,
+    animationState,
+    buildRangePath,
+    classify,
+    getDefaultThresholds,
+    getStateConfig,
+    getThresholds,
+    onManifestChange,
+    parseAnimationManifest,
+    ranges,
+    resolveTransition,
+    setAnimationManifest,
+    setThresholds
+} from '../src/animations/model.js';
+
+const FIVE_STATES = {
+    states: [
+        { id: 'calm', file: './media/state_1.json' },
+        { id: 'chatter', file: './media/state_2.json', minDb: 60, relativeMinDb: 5 },
+        { id: 'busy', file: './media/state_3.json', minDb: 70, relativeMinDb: 10 },
+        { id: 'loud', file: './media/state_4.json', minDb: 80, relativeMinDb: 15 },
+        { id: 'very-loud', file: './media/state_5.json', minDb: 90, relativeMinDb: 20, loop: false }
+    ],
+    transitions: [
+        { from: 'calm', to: 'chatter', file: './media/transition_1_2.json', durationMs: 700 },
+        { from: 'chatter', to: 'busy', file: './media/transition_2_3.json' },
+        { from: 'busy', to: 'loud', file: './media/transition_3_4.json', durationMs: 500 },
+        { from: 'loud', to: 'very-loud', file: './media/transition_4_5.json', durationMs: 400 }
+    ],
+    final: { id: 'meltdown', file: './media/state_final.json', timeoutMs: 5000 }
+};
+
+afterEach(() => setAnimationManifest(DEFAULT_ANIMATION_MANIFEST));
+
+test('the shipped manifest matches the built-in one', () => {
+    const shipped = JSON.parse(readFileSync(new URL('../media/animations.json', import.meta.url), 'utf8'));
+    assert.deepEqual(shipped, DEFAULT_ANIMATION_MANIFEST);
+});
+
+test('every clip in the shipped manifest exists', () => {
+    const { states, transitions, final } = DEFAULT_ANIMATION_MANIFEST;
+    for (const { file } of [...states, ...transitions, final]) {
+        assert.doesNotThrow(() => readFileSync(new URL(`../${file}`, import.meta.url)), file);
+    }
+});
+
+describe('a five-state manifest', () => {
+    beforeEach(() => setAnimationManifest(FIVE_STATES));
+
+    test('defines the state sequence, ranges and clips', () => {
+        assert.deepEqual(STATE_SEQUENCE, ['calm', 'chatter', 'busy', 'loud', 'very-loud', 'meltdown']);
+        assert.equal(ranges.busy.label, '70–80dB');
+        assert.equal(ranges['very-loud'].label, '90dB+');
+        assert.equal(ranges.S2, undefined);
+        assert.deepEqual(getStateConfig('very-loud'), { file: './media/state_5.json', mode: 'forward', loop: false });
+        assert.deepEqual(getThresholds().levels, { chatter: 60, busy: 70, loud: 80, 'very-loud': 90 });
+    });
+
+    test('classifies over all states', () => {
+        assert.equal(classify(50), 'calm');
+        assert.equal(classify(65), 'chatter');
+        assert.equal(classify(75), 'busy');
+        assert.equal(classify(85), 'loud');
+        assert.equal(classify(120), 'very-loud');
+    });
+
+    test('builds paths and transitions across the manifest states', () => {
+        assert.deepEqual(buildRangePath('calm', 'very-loud'), ['calm', 'chatter', 'busy', 'loud', 'very-loud']);
+        assert.deepEqual(buildRangePath('loud', 'chatter'), ['loud', 'busy', 'chatter']);
+
+        const up = resolveTransition('busy', 'loud');
+        assert.deepEqual([up.key, up.mode, up.durationMs], ['busy_loud', 'forward', 500]);
+        const down = resolveTransition('very-loud', 'loud');
+        assert.deepEqual([down.key, down.mode], ['loud_very-loud', 'reverse']);
+        assert.equal(resolveTransition('chatter', 'busy').durationMs, 2000);
+        assert.equal(resolveTransition('calm', 'busy'), null);
+    });
+
+    test('enters the final state from the loudest state and exits to the one below', () => {
+        mock.timers.enable({ apis: ['Date'], now: 0 });
+        try {
+            animationState.update(95);
+            mock.timers.tick(5000);
+            assert.equal(animationState.update(95).range, 'meltdown');
+            assert.equal(animationState.update(75).range, 'meltdown');
+
+            const { range, transition } = animationState.update(84);
+            assert.equal(range, 'loud');
+            assert.deepEqual([transition.key, transition.mode], ['loud_very-loud', 'reverse']);
+        } finally {
+            mock.timers.reset();
+        }
+    });
+
+    test('edits thresholds per state', () => {
+        setThresholds({ levels: { loud: 85 } });
+        assert.equal(classify(84), 'busy');
+        assert.throws(() => setThresholds({ levels: { busy: 90 } }), /loud threshold must be above the busy/);
+        assert.deepEqual(Object.keys(getDefaultThresholds().levels), ['chatter', 'busy', 'loud', 'very-loud']);
+    });
+});
+
+test('a manifest without a final state never leaves the loudest state', () => {
+    setAnimationManifest({ ...DEFAULT_ANIMATION_MANIFEST, final: undefined });
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    try {
+        animationState.update(95);
+        mock.timers.tick(60000);
+        assert.equal(animationState.update(95).range, 'S3');
+        assert.deepEqual(STATE_SEQUENCE, ['S1', 'S2', 'S3']);
+    } finally {
+        mock.timers.reset();
+    }
+});
+
+test('states closer than the default hysteresis disable it', () => {
+    setAnimationManifest({
+        states: [
+            { id: 'low', file: 'a.json' },
+            { id: 'high', file: 'b.json', minDb: 70 },
+            { id: 'top', file: 'c.json', minDb: 72 }
+        ]
+    });
+    assert.equal(getThresholds().hysteresisDb, 0);
+});
+
+describe('parseAnimationManifest', () => {
+    const state = (id, minDb) => ({ id, file: `./media/${id}.json`, minDb });
+
+    test('rejects malformed manifests', () => {
+        assert.throws(() => parseAnimationManifest({ states: [] }), /non-empty "states"/);
+        assert.throws(() => parseAnimationManifest({ states: [state('a'), state('a', 70)] }), /unique "id"/);
+        assert.throws(() => parseAnimationManifest({ states: [state('a'), { id: 'b', minDb: 70 }] }), /needs a "file"/);
+        assert.throws(() => parseAnimationManifest({ states: [state('a'), state('b')] }), /"minDb"/);
+        assert.throws(() => parseAnimationManifest({ states: [state('a'), state('b', 80), state('c', 70)] }), /"minDb"/);
+        assert.throws(() => parseAnimationManifest({
+            states: [state('a'), state('b', 70), state('c', 80)],
+            transitions: [{ from: 'a', to: 'c', file: 'x.json' }]
+        }), /adjacent states/);
+        assert.throws(() => parseAnimationManifest({
+            states: [state('a')],
+            final: { id: 'f', file: 'f.json' }
+        }), /at least two/);
+    });
+
+    test('keeps the active manifest when a new one is rejected', () => {
+        assert.throws(() => setAnimationManifest({ states: [] }));
+        assert.deepEqual(STATE_SEQUENCE, ['S1', 'S2', 'S3', 'SF']);
+    });
+
+    test('accepts JSON text', () => {
+        const { states, final } = parseAnimationManifest(JSON.stringify(DEFAULT_ANIMATION_MANIFEST));
+        assert.deepEqual(states.map(({ id }) => id), ['S1', 'S2', 'S3']);
+        assert.equal(final.timeoutMs, 10000);
+    });
+});
+
+test('manifest listeners run after the states are replaced', () => {
+    const seen = [];
+    const unsubscribe = onManifestChange(({ states }) => seen.push([states[0].id, STATE_SEQUENCE[0]]));
+    setAnimationManifest(FIVE_STATES);
+    unsubscribe();
+    setAnimationManifest(DEFAULT_ANIMATION_MANIFEST);
+    assert.deepEqual(seen, [['calm', 'calm']]);
+});
+
+test('re-applying the active manifest keeps the live state and thresholds', () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    try {
+        setThresholds({ levels: { S2: 70, S3: 85 } });
+        animationState.update(95);
+        mock.timers.tick(10000);
+        assert.equal(animationState.update(95).range, 'SF');
+
+        setAnimationManifest(JSON.parse(JSON.stringify(DEFAULT_ANIMATION_MANIFEST)));
+        assert.equal(animationState.inSF, true);
+        assert.deepEqual(getThresholds().levels, { S2: 70, S3: 85 });
+    } finally {
+        mock.timers.reset();
+        setThresholds(getDefaultThresholds());
+        animationState.reset();
+    }
+});
@@ -0,0 +1,41 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Minimal AudioWorkletGlobalScope for loading the processor in Node
+let Processor = null;
+
+before(async () => {
+    globalThis.sampleRate = 48000;
+    globalThis.AudioWorkletProcessor = class {
+        constructor() {
+            this.port = { messages: [], postMessage(message) { this.messages.push(message); } };
+        }
+    };
+    globalThis.registerProcessor = (name, processorClass) => {
+        assert.equal(name, 'dBwatch-meter');
+        Processor = processorClass;
+    };
+    await import('../src/audio/meter-worklet.js');
+});
+
+function block(value, length = 128) {
+    return new Float32Array(length).fill(value);
+}
+
+test('the level comes from input 0 and peak, clipping and zero crossings from input 1', () => {
+    const meter = new Processor({ processorOptions: { frameMs: 128 / 48 } });
+    const raw = Float32Array.from({ length: 128 }, (_, i) => (i % 2 ? -1 : 1));
+    meter.process([[block(0.5)], [raw]]);
+
+    const [frame] = meter.port.messages;
+    assert.equal(frame.meanSquare, 0.25);
+    assert.equal(frame.peak, 1);
+    assert.equal(frame.clippedSamples, 128);
+    assert.equal(frame.zeroCrossingRate, 127 * 48000 / 128);
+});
+
+test('without a raw input the peak falls back to the level input', () => {
+    const meter = new Processor({ processorOptions: { frameMs: 128 / 48 } });
+    meter.process([[block(0.5)], []]);
+    assert.equal(meter.port.messages[0].peak, 0.5);
+});
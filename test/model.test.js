@@ -0,0 +1,288 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SF_TIMEOUT_MS,
+    animationState,
+    buildRangePath,
+    classify,
+    getDefaultThresholds,
+    getThresholds,
+    ranges,
+    resolveTransition,
+    setRelativeBaseline,
+    setThresholds
+} from '../src/animations/model.js';
+
+describe('classify', () => {
+    afterEach(() => setRelativeBaseline(null));
+
+    test('uses the 75 / 90 dB boundaries', () => {
+        assert.equal(classify(0), 'S1');
+        assert.equal(classify(74.9), 'S1');
+        assert.equal(classify(75), 'S2');
+        assert.equal(classify(89.9), 'S2');
+        assert.equal(classify(90), 'S3');
+        assert.equal(classify(150), 'S3');
+    });
+
+    test('treats non-numeric readings as silence', () => {
+        assert.equal(classify(NaN), 'S1');
+        assert.equal(classify(-Infinity), 'S1');
+    });
+
+    test('classifies relative to the room baseline when one is set', () => {
+        setRelativeBaseline(50);
+        assert.equal(classify(59), 'S1');
+        assert.equal(classify(60), 'S2');
+        assert.equal(classify(70), 'S3');
+    });
+});
+
+describe('resolveTransition', () => {
+    test('plays adjacent transitions forward going up and reversed going down', () => {
+        assert.deepEqual(
+            [resolveTransition('S1', 'S2').key, resolveTransition('S1', 'S2').mode],
+            ['S1_S2', 'forward']
+        );
+        assert.deepEqual(
+            [resolveTransition('S3', 'S2').key, resolveTransition('S3', 'S2').mode],
+            ['S2_S3', 'reverse']
+        );
+    });
+
+    test('has no clip for steady or non-adjacent ranges', () => {
+        assert.equal(resolveTransition('S2', 'S2'), null);
+        assert.equal(resolveTransition('S1', 'S3'), null);
+        assert.equal(resolveTransition(null, 'S1'), null);
+    });
+});
+
+describe('buildRangePath', () => {
+    test('walks every intermediate range on multi-step jumps', () => {
+        assert.deepEqual(buildRangePath('S1', 'S3'), ['S1', 'S2', 'S3']);
+        assert.deepEqual(buildRangePath('S3', 'S1'), ['S3', 'S2', 'S1']);
+        assert.deepEqual(buildRangePath('S1', 'SF'), ['S1', 'S2', 'S3', 'SF']);
+    });
+
+    test('returns just the target for steady or unknown starts', () => {
+        assert.deepEqual(buildRangePath('S2', 'S2'), ['S2']);
+        assert.deepEqual(buildRangePath(null, 'S2'), ['S2']);
+        assert.deepEqual(buildRangePath('S1', null), []);
+    });
+
+    test('every step of a path has an adjacent transition clip', () => {
+        const path = buildRangePath('S1', 'S3');
+        for (let i = 0; i < path.length - 1; i++) {
+            assert.ok(resolveTransition(path[i], path[i + 1]), `${path[i]} -> ${path[i + 1]}`);
+        }
+    });
+});
+
+describe('animationState', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: 0 });
+        animationState.reset();
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    test('enters SF after staying in S3 for SF_TIMEOUT_MS', () => {
+        assert.equal(animationState.update(95).range, 'S3');
+
+        mock.timers.tick(SF_TIMEOUT_MS - 1);
+        assert.equal(animationState.update(95).range, 'S3');
+
+        mock.timers.tick(1);
+        assert.deepEqual(animationState.update(95), { range: 'SF', transition: null });
+    });
+
+    test('restarts the SF timeout when the level leaves S3', () => {
+        animationState.update(95);
+        mock.timers.tick(SF_TIMEOUT_MS - 1000);
+        animationState.update(80);
+
+        animationState.update(95);
+        mock.timers.tick(SF_TIMEOUT_MS - 1);
+        assert.equal(animationState.update(95).range, 'S3');
+
+        mock.timers.tick(1);
+        assert.equal(animationState.update(95).range, 'SF');
+    });
+
+    test('stays in SF for S3 and S1 readings', () => {
+        animationState.update(95);
+        mock.timers.tick(SF_TIMEOUT_MS);
+        animationState.update(95);
+
+        mock.timers.tick(2000);
+        assert.equal(animationState.update(100).range, 'SF');
+        assert.equal(animationState.update(40).range, 'SF');
+    });
+
+    test('exits SF to S2 with the reversed S2_S3 transition', () => {
+        animationState.update(95);
+        mock.timers.tick(SF_TIMEOUT_MS);
+        animationState.update(95);
+
+        const { range, transition } = animationState.update(80);
+        assert.equal(range, 'S2');
+        assert.equal(transition.key, 'S2_S3');
+        assert.equal(transition.mode, 'reverse');
+        assert.equal(transition.direction, 'down');
+        assert.equal(animationState.inSF, false);
+    });
+
+    test('reports adjacent transitions between S1, S2 and S3', () => {
+        animationState.update(60);
+        assert.equal(animationState.update(80).transition.key, 'S1_S2');
+        assert.equal(animationState.update(95).transition.key, 'S2_S3');
+        assert.equal(animationState.update(95).transition, null);
+    });
+});
+
+describe('setThresholds', () => {
+    afterEach(() => {
+        mock.timers.reset();
+        setThresholds(getDefaultThresholds());
+        animationState.reset();
+    });
+
+    test('moves the classify boundaries and range labels', () => {
+        setThresholds({ levels: { S2: 60, S3: 70 }, sfTimeoutMs: 5000 });
+        assert.equal(classify(59.9), 'S1');
+        assert.equal(classify(60), 'S2');
+        assert.equal(classify(70), 'S3');
+        assert.equal(ranges.S2.label, '60–70dB');
+        assert.deepEqual(getThresholds(), { ...getDefaultThresholds(), levels: { S2: 60, S3: 70 }, sfTimeoutMs: 5000 });
+    });
+
+    test('applies the SF timeout to animationState', () => {
+        mock.timers.enable({ apis: ['Date'], now: 0 });
+        setThresholds({ levels: { S2: 75, S3: 90 }, sfTimeoutMs: 3000 });
+        animationState.update(95);
+        mock.timers.tick(3000);
+        assert.equal(animationState.update(95).range, 'SF');
+    });
+
+    test('rejects unordered or out-of-range thresholds and keeps the active ones', () => {
+        assert.throws(() => setThresholds({ levels: { S2: 90, S3: 75 }, sfTimeoutMs: 10000 }), /above the S2/);
+        assert.throws(() => setThresholds({ levels: { S2: 75, S3: 160 }, sfTimeoutMs: 10000 }), /between 0 and 150/);
+        assert.throws(() => setThresholds({ levels: { S2: -5, S3: 90 }, sfTimeoutMs: 10000 }), /between 0 and 150/);
+        assert.throws(() => setThresholds({ levels: { S2: 75, S3: 90 }, sfTimeoutMs: 0 }), /SF timeout/);
+        assert.throws(() => setThresholds({ levels: { S2: 'loud', S3: 90 }, sfTimeoutMs: 10000 }), /numbers/);
+        assert.throws(() => setThresholds({ hysteresisDb: -1 }), /Hysteresis/);
+        assert.throws(() => setThresholds({ levels: { S2: 75, S3: 80 }, hysteresisDb: 5 }), /narrowest state range/);
+        assert.throws(() => setThresholds({ minDwellMs: 120000 }), /dwell/);
+        assert.deepEqual(getThresholds(), getDefaultThresholds());
+        assert.equal(classify(75), 'S2');
+    });
+});
+
+describe('hysteresis', () => {
+    afterEach(() => {
+        setThresholds(getDefaultThresholds());
+        setRelativeBaseline(null);
+    });
+
+    test('moving down needs the level to fall below the boundary minus the hysteresis', () => {
+        setThresholds({ hysteresisDb: 3 });
+        assert.equal(classify(73, 'S2'), 'S2');
+        assert.equal(classify(72.1, 'S2'), 'S2');
+        assert.equal(classify(71.9, 'S2'), 'S1');
+        assert.equal(classify(88, 'S3'), 'S3');
+        assert.equal(classify(80, 'S3'), 'S2');
+        assert.equal(classify(60, 'S3'), 'S1');
+    });
+
+    test('moving up is not delayed', () => {
+        setThresholds({ hysteresisDb: 3 });
+        assert.equal(classify(75, 'S1'), 'S2');
+        assert.equal(classify(90, 'S1'), 'S3');
+    });
+
+    test('applies in relative mode too', () => {
+        setThresholds({ hysteresisDb: 3 });
+        setRelativeBaseline(50);
+        assert.equal(classify(58, 'S2'), 'S2');
+        assert.equal(classify(56, 'S2'), 'S1');
+    });
+
+    test('zero hysteresis switches right at the boundary', () => {
+        setThresholds({ hysteresisDb: 0 });
+        assert.equal(classify(74.9, 'S2'), 'S1');
+    });
+});
+
+describe('animationState hysteresis and dwell time', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: 0 });
+        animationState.reset();
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        setThresholds(getDefaultThresholds());
+    });
+
+    test('a level hovering around the S2 boundary does not flicker', () => {
+        setThresholds({ hysteresisDb: 3 });
+        animationState.update(70);
+        assert.equal(animationState.update(76).transition.key, 'S1_S2');
+
+        for (const db of [74, 75.5, 73, 76, 72.5]) {
+            mock.timers.tick(2000);
+            assert.deepEqual(animationState.update(db), { range: 'S2', transition: null });
+        }
+
+        mock.timers.tick(2000);
+        const { range, transition } = animationState.update(71);
+        assert.equal(range, 'S1');
+        assert.equal(transition.mode, 'reverse');
+    });
+
+    test('SF is only left below the S3 boundary minus the hysteresis', () => {
+        setThresholds({ hysteresisDb: 3 });
+        animationState.update(95);
+        mock.timers.tick(SF_TIMEOUT_MS);
+        animationState.update(95);
+
+        assert.equal(animationState.update(88).range, 'SF');
+        assert.equal(animationState.update(86).range, 'S2');
+    });
+
+    test('holds a state for the minimum dwell time', () => {
+        setThresholds({ minDwellMs: 6000 });
+        animationState.update(60);
+        mock.timers.tick(4000);
+        assert.equal(animationState.update(80).range, 'S1');
+        mock.timers.tick(2000);
+        assert.equal(animationState.update(80).range, 'S2');
+
+        mock.timers.tick(2000);
+        assert.deepEqual(animationState.update(60), { range: 'S2', transition: null });
+        mock.timers.tick(2000);
+        assert.deepEqual(animationState.update(95), { range: 'S2', transition: null });
+
+        mock.timers.tick(2000);
+        const { range, transition } = animationState.update(95);
+        assert.equal(range, 'S3');
+        assert.equal(transition.key, 'S2_S3');
+    });
+
+    test('the dwell time also delays entering and leaving SF', () => {
+        setThresholds({ sfTimeoutMs: 2000, minDwellMs: 5000 });
+        animationState.update(95);
+        mock.timers.tick(2000);
+        assert.equal(animationState.update(95).range, 'S3');
+
+        mock.timers.tick(3000);
+        assert.equal(animationState.update(95).range, 'SF');
+
+        mock.timers.tick(1000);
+        assert.equal(animationState.update(80).range, 'SF');
+        mock.timers.tick(4000);
+        assert.equal(animationState.update(80).range, 'S2');
+    });
+});
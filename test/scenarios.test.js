@@ -0,0 +1,35 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDefaultThresholds, setThresholds } from '../src/animations/model.js';
+import { SCENARIO_SPEEDS, getBuiltinScenarios, importCustomScenario, parseScenario, scenarioLevelAt } from '../src/scenarios.js';
+
+afterEach(() => setThresholds(getDefaultThresholds()));
+
+function sustainedScenario() {
+    return parseScenario(getBuiltinScenarios().find(({ id }) => id === 'sustained-loud-to-sf'));
+}
+
+test('built-in scenarios parse', () => {
+    assert.deepEqual(
+        getBuiltinScenarios().map(source => parseScenario(source).id),
+        ['quiet-lesson', 'escalating-noise', 'sustained-loud-to-sf']
+    );
+});
+
+test('"Sustained loud to SF" holds S3 past the active SF timeout at every speed', () => {
+    setThresholds({ levels: { S2: 85, S3: 100 }, sfTimeoutMs: 20000 });
+    const scenario = sustainedScenario();
+    const hold = scenario.steps[2];
+    assert.ok(hold.from >= 100 && hold.to >= 100);
+    for (const speed of SCENARIO_SPEEDS) {
+        assert.ok(hold.durationMs / speed >= 25000, `${speed}× holds for ${hold.durationMs / speed} ms`);
+    }
+    assert.ok(scenarioLevelAt(scenario, 6000 + hold.durationMs + 2000 + 1000) < 100);
+});
+
+test('imported scenarios never reuse a built-in id', () => {
+    const imported = importCustomScenario({ id: 'sustained-loud-to-sf', name: 'Mine', steps: [{ db: 70, seconds: 1 }] });
+    assert.equal(imported.id, 'custom-sustained-loud-to-sf');
+    assert.equal(importCustomScenario({ name: 'Gym', steps: [{ db: 70, seconds: 1 }] }).id, 'custom-gym');
+    assert.throws(() => importCustomScenario({ steps: [] }));
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSpectralFeatures, formatHz } from '../src/audio/spectralFeatures.js';
+import { assertNear } from './helpers.js';
+
+const SAMPLE_RATE = 48000;
+const BINS = 1024;
+const BIN_HZ = SAMPLE_RATE / (2 * BINS);
+
+test('the dominant frequency is interpolated between bins', () => {
+    const spectrum = new Float32Array(BINS).fill(-100);
+    spectrum[42] = -10;
+    spectrum[43] = -10;
+    const { dominantFrequency, centroid } = computeSpectralFeatures(spectrum, SAMPLE_RATE);
+    assertNear(dominantFrequency, 42.5 * BIN_HZ, 1e-6);
+    assertNear(centroid, 42.5 * BIN_HZ, 50);
+});
+
+test('flatness is 1 for white noise and near 0 for a tone', () => {
+    const flat = computeSpectralFeatures(new Float32Array(BINS).fill(-40), SAMPLE_RATE);
+    assertNear(flat.flatness, 1, 1e-6);
+
+    const tone = new Float32Array(BINS).fill(-120);
+    tone[100] = -10;
+    assert.ok(computeSpectralFeatures(tone, SAMPLE_RATE).flatness < 0.01);
+});
+
+test('no signal gives NaN features', () => {
+    const features = computeSpectralFeatures(new Float32Array(BINS).fill(-Infinity), SAMPLE_RATE);
+    assert.ok(Object.values(features).every(Number.isNaN));
+});
+
+test('formatHz switches to kHz above 1 kHz', () => {
+    assert.equal(formatHz(NaN), '--');
+    assert.equal(formatHz(440.4), '440 Hz');
+    assert.equal(formatHz(2500), '2.5 kHz');
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLevelStatistics } from '../src/audio/statistics.js';
+import { assertNear } from './helpers.js';
+
+test('Leq is the time-weighted energy average', () => {
+    const statistics = createLevelStatistics();
+    statistics.add(60, 1000, 0);
+    statistics.add(70, 1000, 1000);
+    const session = statistics.session();
+    assertNear(session.leq, 10 * Math.log10((1e6 + 1e7) / 2));
+    assert.equal(session.lmax, 70);
+    assert.equal(session.lmin, 60);
+    assert.equal(session.durationMs, 2000);
+});
+
+test('LN is the level exceeded N % of the time', () => {
+    const statistics = createLevelStatistics();
+    statistics.add(80, 1000, 0);
+    statistics.add(60, 4000, 1000);
+    statistics.add(40, 5000, 5000);
+    const session = statistics.session();
+    assertNear(session.l10, 80, 0.05);
+    assertNear(session.l50, 60, 0.05);
+    assertNear(session.l90, 40, 0.05);
+    assert.deepEqual(
+        ['l10', 'l50', 'l90'].map(key => statistics.window(10000)[key]),
+        [80, 60, 40]
+    );
+});
+
+test('the sliding window drops old levels', () => {
+    const statistics = createLevelStatistics({ windowMs: 5000 });
+    statistics.add(90, 1000, 0);
+    statistics.add(50, 1000, 6000);
+    assert.equal(statistics.window(6000).lmax, 50);
+    assert.equal(statistics.session().lmax, 90);
+});
+
+test('an empty engine reports NaN', () => {
+    const statistics = createLevelStatistics();
+    statistics.add(NaN, 1000);
+    assert.ok(Number.isNaN(statistics.session().leq));
+    assert.ok(Number.isNaN(statistics.window().l90));
+});
+
+test('a long session keeps only the window', () => {
+    const statistics = createLevelStatistics({ windowMs: 1000 });
+    for (let now = 0; now < 100000; now += 25) {
+        statistics.add(now < 99000 ? 90 : 50, 25, now);
+    }
+    const window = statistics.window(100000);
+    assert.equal(window.lmax, 50);
+    assert.equal(window.durationMs, 1000);
+});
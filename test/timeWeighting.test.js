@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TIME_WEIGHTING, createTimeWeighting } from '../src/audio/timeWeighting.js';
+import { assertNear } from './helpers.js';
+
+test('the first value passes through', () => {
+    const fast = createTimeWeighting('F');
+    assert.equal(fast.process(0.5, 25), 0.5);
+});
+
+test('Fast reaches 1 − 1/e of a step after one time constant (125 ms)', () => {
+    const fast = createTimeWeighting('F');
+    fast.process(0, 25);
+    let weighted = 0;
+    for (let i = 0; i < 5; i++) {
+        weighted = fast.process(1, 25);
+    }
+    assertNear(weighted, 1 - Math.exp(-1));
+});
+
+test('Impulse rises quickly and decays slowly', () => {
+    const impulse = createTimeWeighting('I');
+    impulse.process(0, 25);
+    const risen = impulse.process(1, 35);
+    assertNear(risen, 1 - Math.exp(-1));
+    const decayed = impulse.process(0, 1500);
+    assertNear(decayed, risen * Math.exp(-1));
+});
+
+test('invalid values and modes are ignored', () => {
+    const weighting = createTimeWeighting('X');
+    assert.equal(weighting.mode, DEFAULT_TIME_WEIGHTING);
+    assert.equal(weighting.process(NaN, 25), 0);
+    weighting.process(0.2, 25);
+    assert.equal(weighting.process(-1, 25), 0.2);
+    weighting.reset();
+    assert.equal(weighting.process(0.7, 25), 0.7);
+});
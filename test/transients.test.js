@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTransientDetector } from '../src/audio/transients.js';
+
+const FRAME_MS = 25;
+
+function feed(detector, levels, start = 0) {
+    return levels
+        .map((level, i) => detector.process(level, FRAME_MS, start + i * FRAME_MS))
+        .filter(Boolean);
+}
+
+test('a clap above the background is reported once it ends', () => {
+    const detector = createTransientDetector();
+    const events = feed(detector, [45, 45, 45, 80, 85, 70, 46, 45]);
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0], { timestamp: 3 * FRAME_MS, peakDb: 85, durationMs: 3 * FRAME_MS });
+});
+
+test('quiet rises below the minimum level are ignored', () => {
+    const detector = createTransientDetector();
+    assert.deepEqual(feed(detector, [20, 20, 40, 40, 20]), []);
+});
+
+test('sustained noise is absorbed into the background', () => {
+    const detector = createTransientDetector({ maxDurationMs: 200 });
+    const levels = [45, ...Array(20).fill(75), 74, 45];
+    assert.deepEqual(feed(detector, levels), []);
+});
+
+test('reset forgets the background', () => {
+    const detector = createTransientDetector();
+    feed(detector, [45, 45]);
+    detector.reset();
+    assert.deepEqual(feed(detector, [80, 80, 80]), []);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVoiceActivityDetector, speechBandRatio, zeroCrossingRate } from '../src/audio/vad.js';
+import { assertNear } from './helpers.js';
+
+const SAMPLE_RATE = 48000;
+const BINS = 1024;
+
+function spectrumWithTone(frequency) {
+    const spectrum = new Float32Array(BINS).fill(-Infinity);
+    spectrum[Math.round(frequency / (SAMPLE_RATE / (2 * BINS)))] = -20;
+    return spectrum;
+}
+
+const SPEECH_FRAME = { speechRatio: 0.8, flatness: 0.1, zeroCrossingRate: 1000, level: 60 };
+const SILENT_FRAME = { speechRatio: 0.1, flatness: 0.9, zeroCrossingRate: 8000, level: 30 };
+
+test('speechBandRatio measures the power inside the speech band', () => {
+    assert.equal(speechBandRatio(spectrumWithTone(1000), SAMPLE_RATE), 1);
+    assert.equal(speechBandRatio(spectrumWithTone(8000), SAMPLE_RATE), 0);
+    assert.ok(Number.isNaN(speechBandRatio(new Float32Array(BINS).fill(-Infinity), SAMPLE_RATE)));
+});
+
+test('zeroCrossingRate of a sine is twice its frequency', () => {
+    const samples = Float32Array.from({ length: 4800 }, (_, i) => Math.sin(2 * Math.PI * 440 * (i + 0.5) / SAMPLE_RATE));
+    assertNear(zeroCrossingRate(samples, SAMPLE_RATE), 880, 15);
+    assert.equal(zeroCrossingRate(new Float32Array(1), SAMPLE_RATE), 0);
+});
+
+test('speech holds through the hangover and then ends', () => {
+    const detector = createVoiceActivityDetector({ hangoverMs: 300 });
+    assert.equal(detector.process(SILENT_FRAME, 100), false);
+    assert.equal(detector.process(SPEECH_FRAME, 100), true);
+    assert.equal(detector.process(SILENT_FRAME, 100), true);
+    assert.equal(detector.process(SILENT_FRAME, 100), true);
+    assert.equal(detector.process(SILENT_FRAME, 100), false);
+    assert.equal(detector.isSpeech(), false);
+});
+
+test('any failed criterion rejects the frame', () => {
+    const detector = createVoiceActivityDetector();
+    for (const override of [{ level: 20 }, { speechRatio: 0.2 }, { flatness: 0.6 }, { zeroCrossingRate: 50 }]) {
+        detector.reset();
+        assert.equal(detector.process({ ...SPEECH_FRAME, ...override }, 100), false, JSON.stringify(override));
+    }
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { designWeightingSections, sectionsMagnitude } from '../src/audio/weighting.js';
+import { assertNear } from './helpers.js';
+
+const SAMPLE_RATE = 48000;
+
+function responseDb(weighting, frequency) {
+    return 20 * Math.log10(sectionsMagnitude(designWeightingSections(weighting, SAMPLE_RATE), frequency, SAMPLE_RATE));
+}
+
+test('A weighting follows the IEC 61672-1 table', () => {
+    assertNear(responseDb('A', 1000), 0, 1e-9, '1 kHz');
+    assertNear(responseDb('A', 31.5), -39.4, 0.5, '31.5 Hz');
+    assertNear(responseDb('A', 100), -19.1, 0.3, '100 Hz');
+    assertNear(responseDb('A', 4000), 1.0, 0.3, '4 kHz');
+    assertNear(responseDb('A', 10000), -2.5, 1, '10 kHz');
+});
+
+test('C weighting follows the IEC 61672-1 table', () => {
+    assertNear(responseDb('C', 1000), 0, 1e-9, '1 kHz');
+    assertNear(responseDb('C', 31.5), -3.0, 0.3, '31.5 Hz');
+    assertNear(responseDb('C', 100), -0.3, 0.2, '100 Hz');
+});
+
+test('Z weighting has no filter sections', () => {
+    assert.deepEqual(designWeightingSections('Z', SAMPLE_RATE), []);
+});